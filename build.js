@@ -0,0 +1,95 @@
+// Offline build: writes dist/temperature_matrix.html as a single file that
+// works without a network or a web server. It has the styles, the scripts
+// with only the D3 modules the app uses (d3-offline.js) and, unless
+// --no-data is given, temperature_daily.csv inlined. Without the data the
+// page waits for the user to load their own file.
+//
+// dist/sw.js caches the page for repeat offline visits when it is served.
+//
+// Usage: npm run build [-- --no-data]
+import {build} from 'esbuild';
+import {createHash} from 'node:crypto';
+import {mkdir, readFile, writeFile} from 'node:fs/promises';
+import {dirname, join} from 'node:path';
+import {fileURLToPath} from 'node:url';
+
+const root = dirname(fileURLToPath(import.meta.url));
+const outDir = join(root, 'dist');
+const pageName = 'temperature_matrix.html';
+// Must match bundledDataId in script.js
+const bundledDataId = 'bundled-data';
+
+// Replace the single occurrence of `search` in `text`, failing loudly when the
+// page and the build have drifted apart
+function replaceOnce(text, search, replacement, fileName) {
+    const count = text.split(search).length - 1;
+    if (count !== 1) throw new Error(`Expected one ${JSON.stringify(search)} in ${fileName}, found ${count}`);
+    // A function, so `$` sequences in the replacement are kept as they are
+    return text.replace(search, () => replacement);
+}
+
+// Inline script content must not close its script element early
+function escapeScript(text) {
+    return text.replace(/<\/(script)/gi, '<\\/$1');
+}
+
+async function bundleScripts() {
+    const result = await build({
+        stdin: {
+            // d3-offline.js first, so the d3 global exists when the app modules run
+            contents: "import './d3-offline.js';\nimport './script.js';",
+            resolveDir: root,
+            sourcefile: 'offline-entry.js'
+        },
+        bundle: true,
+        format: 'iife',
+        minify: true,
+        target: 'es2020',
+        write: false
+    });
+    return result.outputFiles[0].text;
+}
+
+async function buildPage(inlineData) {
+    const [html, css, js] = await Promise.all([
+        readFile(join(root, pageName), 'utf8'),
+        readFile(join(root, 'styles.css'), 'utf8'),
+        bundleScripts()
+    ]);
+    
+    let page = replaceOnce(html, '    <script src="https://d3js.org/d3.v7.min.js"></script>\n', '', pageName);
+    page = replaceOnce(page, '<link rel="stylesheet" href="styles.css">', `<style>\n${css}</style>`, pageName);
+    
+    let scripts = `<script>${escapeScript(js)}</script>`;
+    if (inlineData) {
+        const csv = await readFile(join(root, 'temperature_daily.csv'), 'utf8');
+        scripts = `<script type="text/csv" id="${bundledDataId}">\n${escapeScript(csv)}</script>\n    ${scripts}`;
+    }
+    return replaceOnce(page, '<script type="module" src="script.js"></script>', scripts, pageName);
+}
+
+// The service worker with a cache named after the page content, so each
+// build replaces the copy cached by the one before
+async function buildServiceWorker(page) {
+    const source = await readFile(join(root, 'sw.js'), 'utf8');
+    const version = createHash('sha256').update(page).digest('hex').slice(0, 12);
+    let worker = source.replace(/const cacheName = '[^']*';/, `const cacheName = 'temperature-matrix-${version}';`);
+    worker = worker.replace(/const appFiles = \[[^\]]*\];/, `const appFiles = ['${pageName}'];`);
+    // D3 is inlined, so nothing comes from the CDN
+    worker = worker.replace(/const cdnFiles = \[[^\]]*\];/, 'const cdnFiles = [];');
+    if (!worker.includes(version) || !worker.includes(`const appFiles = ['${pageName}'];`) || !worker.includes('const cdnFiles = [];')) {
+        throw new Error('Could not set the cache name and files in sw.js');
+    }
+    return worker;
+}
+
+const inlineData = !process.argv.includes('--no-data');
+const page = await buildPage(inlineData);
+const worker = await buildServiceWorker(page);
+
+await mkdir(outDir, {recursive: true});
+await Promise.all([
+    writeFile(join(outDir, pageName), page),
+    writeFile(join(outDir, 'sw.js'), worker)
+]);
+console.log(`Wrote dist/${pageName} (${Math.round(page.length / 1024)} KB${inlineData ? ', data inlined' : ', no data'}) and dist/sw.js`);
@@ -0,0 +1,38 @@
+// The D3 modules the app uses, exposed as the `d3` global the other modules
+// expect. The offline build (build.js) bundles this in place of the full D3
+// script from the CDN.
+import * as array from 'd3-array';
+import * as axis from 'd3-axis';
+import * as color from 'd3-color';
+import * as drag from 'd3-drag';
+import * as dsv from 'd3-dsv';
+import * as fetch from 'd3-fetch';
+import * as format from 'd3-format';
+import * as interpolate from 'd3-interpolate';
+import * as scale from 'd3-scale';
+import * as scaleChromatic from 'd3-scale-chromatic';
+import * as selection from 'd3-selection';
+import * as shape from 'd3-shape';
+import * as time from 'd3-time';
+import * as timeFormat from 'd3-time-format';
+import * as zoom from 'd3-zoom';
+// Adds selection.transition() and selection.interrupt()
+import 'd3-transition';
+
+globalThis.d3 = {
+    ...array,
+    ...axis,
+    ...color,
+    ...drag,
+    ...dsv,
+    ...fetch,
+    ...format,
+    ...interpolate,
+    ...scale,
+    ...scaleChromatic,
+    ...selection,
+    ...shape,
+    ...time,
+    ...timeFormat,
+    ...zoom
+};
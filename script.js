@@ -1,441 +1,1332 @@
-// Configuration
-const margin = {top: 80, right: 150, bottom: 60, left: 80};
-const cellWidth = 80;
-const cellHeight = 60;
-const cellSpacing = 6; // Spacing between cells
-const chartWidth = 60;
-const chartHeight = 40;
-const chartMargin = 5;
-
-const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-const months = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
-
-// State: show max (true) or min (false) temperature
-let showMax = true;
-let monthlyData = [];
-let dailyData = [];
-let monthlyLookup = {};
-let dailyLookup = {};
-let colorScale;
-let minTemp, maxTemp;
-let cells, tooltip, svg, g;
-let cellElements = [];
-
-// Helper function to adjust color brightness for better visibility
-function adjustColorBrightness(color, factor) {
-    // Convert hex to rgb
-    const hex = color.replace('#', '');
-    const r = parseInt(hex.substr(0, 2), 16);
-    const g = parseInt(hex.substr(2, 2), 16);
-    const b = parseInt(hex.substr(4, 2), 16);
-    
-    // Adjust brightness (factor > 1 = lighter, < 1 = darker)
-    const newR = Math.min(255, Math.max(0, Math.round(r * factor)));
-    const newG = Math.min(255, Math.max(0, Math.round(g * factor)));
-    const newB = Math.min(255, Math.max(0, Math.round(b * factor)));
-    
-    return `rgb(${newR}, ${newG}, ${newB})`;
-}
-
-// Helper function to get darker/more visible version of color for lines
-function getLineColor(baseColor, isMax) {
-    // Convert color to RGB values
-    let r, g, b;
-    
-    if (baseColor.startsWith('rgb')) {
-        // Handle rgb() format from D3 color scale
-        const rgb = baseColor.match(/\d+/g);
-        r = parseInt(rgb[0]);
-        g = parseInt(rgb[1]);
-        b = parseInt(rgb[2]);
-    } else if (baseColor.startsWith('#')) {
-        // Handle hex format
-        const hex = baseColor.replace('#', '');
-        r = parseInt(hex.substr(0, 2), 16);
-        g = parseInt(hex.substr(2, 2), 16);
-        b = parseInt(hex.substr(4, 2), 16);
+// Page controller: loads data, wires the controls to a temperature matrix
+// instance and keeps the URL hash in sync with its view state.
+import {
+    createTemperatureMatrix,
+    announceToScreenReader,
+    parseBinEdges,
+    getDefaultViewState,
+    metrics,
+    views,
+    yearOrders,
+    monthOrders,
+    monthNames,
+    renderers,
+    distributionCharts,
+    palettes,
+    units,
+    defaultPalette
+} from './temperature-matrix.js';
+import {
+    parseRows,
+    splitStations,
+    checkDataQuality,
+    getYears,
+    extent,
+    formatEventSettings,
+    parseEventSettings
+} from './temperature-data.js';
+
+const pageTitle = 'Monthly Temperature Matrix';
+// Station of the bundled temperature_daily.csv
+const defaultStationName = 'Hong Kong';
+const paletteStorageKey = 'temperatureMatrix.palette';
+
+// Input id prefixes for the streak event rules
+const eventInputIds = {hotNights: 'hot-nights', heatwave: 'heatwave', coldSpell: 'cold-spell'};
+
+// Column names used by the bundled temperature_daily.csv
+const defaultColumnMapping = {date: 'date', max: 'max_temperature', min: 'min_temperature'};
+// Id of the script element the offline build inlines temperature_daily.csv into
+const bundledDataId = 'bundled-data';
+
+// Ways to show a dataset with several stations
+const stationLayouts = {
+    single: {label: 'One station'},
+    multiples: {label: 'All stations side by side'},
+    difference: {label: 'Difference of two stations'}
+};
+// File waiting for the user to confirm its column mapping
+let pendingDataset = null;
+
+// The matrix instance, created once the first dataset has loaded
+let matrix = null;
+// Stations in the loaded dataset, sorted by name: {name, data}
+let stations = [];
+// Station in the main matrix, the layout, and the station subtracted from
+// it in the difference layout
+let stationState = {station: null, layout: 'single', reference: null};
+// Station and reference the main matrix is showing
+let shownStation = null;
+let shownReference = null;
+// Small multiples for the other stations: {name, matrix, panel}
+let stationPeers = [];
+// Key of the cell whose detail panel is open, and of the last focused cell
+let detailCellKey = null;
+let focusedCellKey = null;
+// Set while applying state from the URL so it is not written straight back
+let restoringState = false;
+let urlStateRestored = false;
+// What the data report was last drawn from, so it can be redrawn in another unit
+let dataReport = null;
+
+// Replace the loaded dataset and reset the view to the last 10 years of its
+// first station. Records without a station belong to `defaultStation`.
+function applyDataset(result, sourceName, defaultStation = defaultStationName) {
+    const checked = splitStations(result.data, defaultStation)
+        .map(({name, data}) => ({name, quality: checkDataQuality(data)}));
+    const usable = checked.filter(station => station.quality.data.length > 0);
+    if (usable.length === 0) {
+        showDataError(`No valid rows found in ${sourceName}. ${result.total} rows were skipped.`, result.skipped);
+        return;
+    }
+    stations = usable.map(({name, quality}) => ({name, data: quality.data}));
+    
+    // The first dataset restores any view shared through the URL
+    let state, cellState = {};
+    if (!urlStateRestored) {
+        urlStateRestored = true;
+        ({state, cellState, stationChoice: stationState} = readUrlState());
     } else {
-        // Fallback to darker colors
-        return isMax ? '#1a4a7a' : '#2a6a8a';
+        stationState = getDefaultStationState();
+        state = {...getDefaultViewState(getYears(getStation(stationState.station).data)), ...loadSavedPalette()};
     }
     
-    // Make lines darker and more visible against the background
-    // For max line: darker (factor 0.35) - more contrast
-    // For min line: darker (factor 0.45) - slightly lighter than max for distinction
-    const factor = isMax ? 0.35 : 0.45;
+    restoringState = true;
+    focusedCellKey = null;
+    // Force the new data, and any reference, into the matrix
+    shownStation = null;
+    shownReference = undefined;
+    showStations(state);
+    showDataReport(result, checked, sourceName);
+    applyCellState(cellState);
+    restoringState = false;
+    updateUrlState(true);
+}
+
+function getStation(name) {
+    return stations.find(station => station.name === name);
+}
+
+// The first station on its own, with the second ready as the difference reference
+function getDefaultStationState() {
+    return {
+        station: stations[0].name,
+        layout: 'single',
+        reference: stations.length > 1 ? stations[1].name : null
+    };
+}
+
+// Name of what the main matrix shows, e.g. "Hong Kong" or "Hong Kong − Sha Tin"
+function getStationLabel() {
+    if (stationState.layout === 'difference') return `${stationState.station} − ${stationState.reference}`;
+    if (stationState.layout === 'multiples') return 'Multi-Station';
+    return stationState.station;
+}
+
+// Show the stations in the current layout, with view `state` if given: the main
+// station in the matrix, minus the reference station in the difference
+// layout, and every other station beside it as small multiples
+function showStations(state) {
+    const primary = getStation(stationState.station);
+    const reference = stationState.layout === 'difference' ? getStation(stationState.reference) : null;
+    const title = `${reference ? getStationLabel() : primary.name} ${pageTitle}`;
+    removeStationPeers();
+    
+    if (!matrix) {
+        matrix = createTemperatureMatrix('#matrix-container', primary.data, {
+            title,
+            initialState: state
+        });
+        bindMatrixEvents();
+    } else {
+        matrix.setTitle(title);
+        if (shownStation !== primary.name) {
+            matrix.setData(primary.data, state || matrix.getState());
+        } else if (state) {
+            matrix.setState(state);
+        }
+    }
+    shownStation = primary.name;
     
-    const newR = Math.min(255, Math.max(0, Math.round(r * factor)));
-    const newG = Math.min(255, Math.max(0, Math.round(g * factor)));
-    const newB = Math.min(255, Math.max(0, Math.round(b * factor)));
+    const referenceName = reference ? reference.name : null;
+    if (referenceName !== shownReference) {
+        matrix.setReference(reference && reference.data, referenceName);
+        shownReference = referenceName;
+    }
     
-    return `rgb(${newR}, ${newG}, ${newB})`;
+    const panels = document.getElementById('station-panels');
+    const heading = document.getElementById('station-heading');
+    const multiples = stationState.layout === 'multiples';
+    if (panels) panels.classList.toggle('small-multiples', multiples);
+    if (heading) {
+        heading.textContent = stationState.station;
+        heading.hidden = !multiples;
+    }
+    if (multiples) {
+        stations.filter(station => station !== primary).forEach(addStationPeer);
+        shareColorScale();
+    } else {
+        matrix.setColorDomain(null);
+    }
+    syncControls();
 }
 
-// Screen reader announcements
-function announceToScreenReader(message) {
-    const announcement = document.createElement('div');
-    announcement.setAttribute('role', 'status');
-    announcement.setAttribute('aria-live', 'polite');
-    announcement.setAttribute('aria-atomic', 'true');
-    announcement.className = 'sr-only';
-    announcement.textContent = message;
-    document.body.appendChild(announcement);
-    setTimeout(() => document.body.removeChild(announcement), 1000);
+// Small multiple for one more station, following the main matrix's view
+function addStationPeer(station) {
+    const panels = document.getElementById('station-panels');
+    const index = stationPeers.length + 1;
+    const panel = document.createElement('section');
+    panel.className = 'station-panel';
+    panel.setAttribute('aria-labelledby', `station-heading-${index}`);
+    const heading = document.createElement('h3');
+    heading.id = `station-heading-${index}`;
+    heading.className = 'station-heading';
+    heading.textContent = station.name;
+    const container = document.createElement('div');
+    container.className = 'station-matrix';
+    panel.append(heading, container);
+    panels.appendChild(panel);
+    
+    stationPeers.push({
+        name: station.name,
+        panel,
+        matrix: createTemperatureMatrix(container, station.data, {
+            title: `${station.name} ${pageTitle}`,
+            initialState: matrix.getState()
+        })
+    });
 }
 
-// Load and process data
-d3.csv("temperature_daily.csv").then(function(data) {
-    // Parse dates and filter last 10 years (2008-2017)
-    data.forEach(d => {
-        d.date = new Date(d.date);
-        d.year = d.date.getFullYear();
-        d.month = d.date.getMonth() + 1;
-        d.day = d.date.getDate();
-        d.max_temperature = +d.max_temperature;
-        d.min_temperature = +d.min_temperature;
-    });
-    
-    const last10Years = data.filter(d => d.year >= 2008 && d.year <= 2017);
-    
-    // Group by year and month for monthly aggregates
-    const monthlyMap = new Map();
-    last10Years.forEach(d => {
-        const key = `${d.year}-${d.month}`;
-        if (!monthlyMap.has(key)) {
-            monthlyMap.set(key, {
-                year: d.year,
-                month: d.month,
-                max_temps: [],
-                min_temps: []
-            });
+function removeStationPeers() {
+    stationPeers.forEach(peer => {
+        peer.matrix.destroy();
+        peer.panel.remove();
+    });
+    stationPeers = [];
+}
+
+// Mirror the main matrix's view in the small multiples
+function syncStationPeers() {
+    if (stationPeers.length === 0) return;
+    const state = matrix.getState();
+    stationPeers.forEach(peer => peer.matrix.setState(state));
+    shareColorScale();
+}
+
+// Small multiples share one color domain, so a color means the same value in every station
+function shareColorScale() {
+    const instances = [matrix, ...stationPeers.map(peer => peer.matrix)];
+    const domain = extent(instances.flatMap(instance => instance.getValueExtent()));
+    instances.forEach(instance => instance.setColorDomain(domain));
+}
+
+// Follow the matrix: controls, titles and URL mirror its state
+function bindMatrixEvents() {
+    matrix.on('render', () => {
+        focusedCellKey = null;
+    });
+    matrix.on('change', state => {
+        syncStationPeers();
+        syncControls();
+        savePalette(state);
+        updateUrlState();
+    });
+    matrix.on('focus', cell => {
+        focusedCellKey = cell.key;
+        updateUrlState(true);
+    });
+    matrix.on('detailopen', cell => {
+        detailCellKey = cell.key;
+        updateUrlState();
+    });
+    matrix.on('detailclose', () => {
+        detailCellKey = null;
+        updateUrlState();
+    });
+}
+
+// Bring every control in line with the matrix state
+function syncControls() {
+    if (!matrix) return;
+    const state = matrix.getState();
+    
+    updatePageTitles(state);
+    populateYearSelects(state);
+    populateBaselineSelects(state);
+    populateComparisonSelect(state);
+    const viewSelect = document.getElementById('view-select');
+    if (viewSelect) viewSelect.value = state.view;
+    const anomalyToggle = document.getElementById('anomaly-toggle');
+    if (anomalyToggle) {
+        anomalyToggle.checked = state.anomaly;
+        // Station differences take the place of anomalies
+        anomalyToggle.disabled = stationState.layout === 'difference';
+    }
+    const paletteSelect = document.getElementById('palette-select');
+    if (paletteSelect) paletteSelect.value = state.palette;
+    const reverseToggle = document.getElementById('palette-reverse');
+    if (reverseToggle) reverseToggle.checked = state.reversePalette;
+    const incompleteToggle = document.getElementById('exclude-incomplete');
+    if (incompleteToggle) incompleteToggle.checked = state.excludeIncomplete;
+    const trendToggle = document.getElementById('trend-toggle');
+    if (trendToggle) trendToggle.checked = state.trends;
+    const tableToggle = document.getElementById('table-toggle');
+    if (tableToggle) {
+        // The table lists the matrix's monthly values
+        tableToggle.checked = state.table;
+        tableToggle.disabled = state.view !== 'matrix';
+    }
+    const distributionSelect = document.getElementById('distribution-select');
+    if (distributionSelect) distributionSelect.value = state.distribution;
+    const ridgelineToggle = document.getElementById('ridgeline-toggle');
+    if (ridgelineToggle) ridgelineToggle.checked = state.ridgeline;
+    updateOrderControls(state);
+    updateStationControls();
+    const rendererSelect = document.getElementById('renderer-select');
+    if (rendererSelect) rendererSelect.value = state.renderer;
+    updateEventControls(state);
+    const scaleSelect = document.getElementById('scale-type-select');
+    const edgesInput = document.getElementById('bin-edges-input');
+    if (scaleSelect && edgesInput) {
+        scaleSelect.value = state.binned ? 'binned' : 'continuous';
+        edgesInput.disabled = !state.binned;
+        // Custom bin edges are reported in the current unit
+        if (state.binEdges) edgesInput.value = state.binEdges.join(', ');
+    }
+    updateUnitToggle(state);
+    updateToggleButton(state);
+}
+
+// Palette saved from a previous visit, falling back to the default
+function loadSavedPalette() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(paletteStorageKey));
+        if (saved && palettes[saved.palette]) {
+            return {palette: saved.palette, reversePalette: !!saved.reverse};
         }
-        monthlyMap.get(key).max_temps.push(d.max_temperature);
-        monthlyMap.get(key).min_temps.push(d.min_temperature);
+    } catch (error) {
+        // Storage can be unavailable (private mode, file:// in some browsers)
+    }
+    return {palette: defaultPalette, reversePalette: false};
+}
+
+function savePalette(state) {
+    try {
+        localStorage.setItem(paletteStorageKey, JSON.stringify({palette: state.palette, reverse: state.reversePalette}));
+    } catch (error) {
+        // Persisting is best effort; the palette still applies for this session
+    }
+}
+
+function setupPaletteControls() {
+    const paletteSelect = document.getElementById('palette-select');
+    const reverseToggle = document.getElementById('palette-reverse');
+    if (!paletteSelect || !reverseToggle) return;
+    
+    Object.keys(palettes).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = palettes[key].label;
+        paletteSelect.appendChild(option);
     });
     
-    // Calculate monthly means
-    monthlyData = Array.from(monthlyMap.values()).map(d => ({
-        year: d.year,
-        month: d.month,
-        max_temp_mean: d3.mean(d.max_temps),
-        min_temp_mean: d3.mean(d.min_temps)
-    }));
+    const savedPalette = loadSavedPalette();
+    paletteSelect.value = savedPalette.palette;
+    reverseToggle.checked = savedPalette.reversePalette;
     
-    // Store daily data
-    dailyData = last10Years;
+    const update = () => {
+        if (matrix) matrix.setPalette(paletteSelect.value, reverseToggle.checked);
+    };
+    paletteSelect.addEventListener('change', update);
+    reverseToggle.addEventListener('change', update);
+}
+
+function setupScaleControls() {
+    const scaleSelect = document.getElementById('scale-type-select');
+    const edgesInput = document.getElementById('bin-edges-input');
+    const edgesError = document.getElementById('bin-edges-error');
+    if (!scaleSelect || !edgesInput) return;
+    
+    scaleSelect.value = 'continuous';
+    edgesInput.disabled = true;
     
-    // Create lookups
-    monthlyLookup = {};
-    monthlyData.forEach(d => {
-        const key = `${d.year}-${d.month}`;
-        monthlyLookup[key] = d;
+    scaleSelect.addEventListener('change', function() {
+        if (matrix) matrix.setBinning(scaleSelect.value === 'binned');
     });
     
-    dailyLookup = {};
-    dailyData.forEach(d => {
-        const key = `${d.year}-${d.month}`;
-        if (!dailyLookup[key]) dailyLookup[key] = [];
-        dailyLookup[key].push(d);
+    edgesInput.addEventListener('change', function() {
+        if (!matrix) return;
+        let edges;
+        try {
+            // Edges are typed in the display unit
+            edges = parseBinEdges(edgesInput.value);
+            edgesError.textContent = '';
+            edgesInput.removeAttribute('aria-invalid');
+        } catch (error) {
+            edgesError.textContent = error.message;
+            edgesInput.setAttribute('aria-invalid', 'true');
+            return;
+        }
+        matrix.setState({binEdges: edges});
+        announceToScreenReader(edges
+            ? `Bin edges set to ${edgesInput.value}`
+            : 'Using automatic bin edges');
     });
+}
+
+function setupCoverageControls() {
+    const incompleteToggle = document.getElementById('exclude-incomplete');
+    if (!incompleteToggle) return;
     
-    // Calculate color scale domain using actual max/min from daily data
-    let tempValues = [];
-    dailyData.forEach(d => {
-        tempValues.push(d.max_temperature, d.min_temperature);
+    incompleteToggle.checked = false;
+    incompleteToggle.addEventListener('change', function() {
+        if (matrix) matrix.setExcludeIncomplete(incompleteToggle.checked);
     });
-    minTemp = d3.min(tempValues);
-    maxTemp = d3.max(tempValues);
+}
+
+function setupTrendControls() {
+    const trendToggle = document.getElementById('trend-toggle');
+    if (!trendToggle) return;
     
-    // Create color scale
-    colorScale = d3.scaleSequential(d3.interpolateRdYlBu)
-        .domain([maxTemp, minTemp]);
+    trendToggle.checked = false;
+    trendToggle.addEventListener('change', function() {
+        if (matrix) matrix.setTrends(trendToggle.checked);
+    });
+}
+
+function setupTableControls() {
+    const tableToggle = document.getElementById('table-toggle');
+    if (!tableToggle) return;
     
-    // Initialize visualization
-    initVisualization();
-    setupToggleButton();
-}).catch(function(error) {
-    console.error("Error loading data:", error);
-    const container = document.getElementById("matrix-container");
-    container.innerHTML = 
-        "<div class='error-message' role='alert'><strong>Error loading data</strong><p>Please ensure temperature_daily.csv is in the same directory and accessible.</p><p>If you're opening this file directly, you need to use a local web server (e.g., <code>python -m http.server 8000</code>).</p></div>";
-    announceToScreenReader("Error loading temperature data. Please check the console for details.");
-});
+    tableToggle.checked = false;
+    tableToggle.addEventListener('change', function() {
+        if (matrix) matrix.setTable(tableToggle.checked);
+    });
+}
 
-function initVisualization() {
-    // Clear loading message
-    d3.select("#matrix-container").selectAll("*").remove();
-    const container = document.getElementById("matrix-container");
-    container.setAttribute('aria-busy', 'false');
-    
-    // Get unique years
-    const years = [...new Set(monthlyData.map(d => d.year))].sort((a, b) => a - b);
-    
-    // Calculate dimensions (account for spacing between cells)
-    const width = years.length * (cellWidth + cellSpacing) - cellSpacing + margin.left + margin.right;
-    const height = months.length * (cellHeight + cellSpacing) - cellSpacing + margin.top + margin.bottom;
-    
-    // Create SVG with ARIA attributes
-    svg = d3.select("#matrix-container")
-        .append("svg")
-        .attr("width", width)
-        .attr("height", height)
-        .attr("role", "img")
-        .attr("aria-label", `Temperature matrix showing ${years.length} years and 12 months. Use Tab to navigate, Enter or Space to toggle view.`);
-    
-    g = svg.append("g")
-        .attr("transform", `translate(${margin.left},${margin.top})`);
-    
-    // Create cells with keyboard navigation support
-    const cellData = years.flatMap(year => 
-        months.map(month => ({
-            year,
-            month,
-            key: `${year}-${month}`,
-            data: monthlyLookup[`${year}-${month}`] || null
-        }))
-    );
-    
-    cells = g.selectAll(".cell")
-        .data(cellData)
-        .enter()
-        .append("g")
-        .attr("class", "cell")
-        .attr("transform", d => `translate(${years.indexOf(d.year) * (cellWidth + cellSpacing)},${months.indexOf(d.month) * (cellHeight + cellSpacing)})`)
-        .attr("tabindex", "0")
-        .attr("role", "button")
-        .attr("aria-label", d => {
-            if (!d.data) return `${monthNames[d.month - 1]} ${d.year}, no data available`;
-            // Use actual max/min from daily data
-            const cellDaily = dailyLookup[d.key] || [];
-            if (cellDaily.length === 0) return `${monthNames[d.month - 1]} ${d.year}, no data available`;
-            
-            let temp;
-            if (showMax) {
-                temp = d3.max(cellDaily.map(day => day.max_temperature));
-            } else {
-                temp = d3.min(cellDaily.map(day => day.min_temperature));
-            }
-            const tempType = showMax ? "maximum" : "minimum";
-            return `${monthNames[d.month - 1]} ${d.year}, ${tempType} temperature ${temp.toFixed(1)} degrees Celsius. Press Enter or Space to switch view.`;
+function setupDistributionControls() {
+    const distributionSelect = document.getElementById('distribution-select');
+    const ridgelineToggle = document.getElementById('ridgeline-toggle');
+    
+    if (distributionSelect) {
+        Object.keys(distributionCharts).forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = distributionCharts[key].label;
+            distributionSelect.appendChild(option);
         });
+        distributionSelect.value = getDefaultViewState([]).distribution;
+        distributionSelect.addEventListener('change', function() {
+            if (matrix) matrix.setDistribution(distributionSelect.value);
+        });
+    }
     
-    // Store cell elements for keyboard navigation
-    cellElements = cells.nodes();
-    
-    // Add cell background with rounded corners
-    cells.append("rect")
-        .attr("width", cellWidth)
-        .attr("height", cellHeight)
-        .attr("rx", 6)
-        .attr("ry", 6)
-        .attr("fill", d => {
-            if (!d.data) return "#1a1a1a";
-            // Use actual max/min from daily data, not monthly averages
-            const cellDaily = dailyLookup[d.key] || [];
-            if (cellDaily.length === 0) return "#1a1a1a";
-            
-            let temp;
-            if (showMax) {
-                // Get the maximum of all max temperatures for this month
-                temp = d3.max(cellDaily.map(day => day.max_temperature));
-            } else {
-                // Get the minimum of all min temperatures for this month
-                temp = d3.min(cellDaily.map(day => day.min_temperature));
-            }
-            return colorScale(temp);
-        })
-        .attr("stroke", "#404040")
-        .attr("stroke-width", 1)
-        .style("cursor", "pointer");
-    
-    // Click handler - switches between showing maximum and minimum temperatures
-    cells.on("click", function(event, d) {
-        event.stopPropagation();
-        showMax = !showMax;
-        updateVisualization();
-        updateToggleButton();
-        announceToScreenReader(`Switched to ${showMax ? 'maximum' : 'minimum'} temperature view`);
-    });
-    
-    // Keyboard navigation (WCAG 2.1.1, 2.1.2)
-    cells.on("keydown", function(event, d) {
-        const currentIndex = cellElements.indexOf(this);
-        let newIndex = currentIndex;
-        
-        switch(event.key) {
-            case 'Enter':
-            case ' ':
-                event.preventDefault();
-                showMax = !showMax;
-                updateVisualization();
-                updateToggleButton();
-                announceToScreenReader(`Switched to ${showMax ? 'maximum' : 'minimum'} temperature view`);
-                break;
-            case 'ArrowRight':
-                event.preventDefault();
-                newIndex = Math.min(currentIndex + 1, cellElements.length - 1);
-                cellElements[newIndex].focus();
-                break;
-            case 'ArrowLeft':
-                event.preventDefault();
-                newIndex = Math.max(currentIndex - 1, 0);
-                cellElements[newIndex].focus();
-                break;
-            case 'ArrowDown':
-                event.preventDefault();
-                newIndex = Math.min(currentIndex + years.length, cellElements.length - 1);
-                cellElements[newIndex].focus();
-                break;
-            case 'ArrowUp':
-                event.preventDefault();
-                newIndex = Math.max(currentIndex - years.length, 0);
-                cellElements[newIndex].focus();
-                break;
+    if (ridgelineToggle) {
+        ridgelineToggle.checked = false;
+        ridgelineToggle.addEventListener('change', function() {
+            if (matrix) matrix.setRidgeline(ridgelineToggle.checked);
+        });
+    }
+}
+
+function setupOrderControls() {
+    const yearOrderSelect = document.getElementById('year-order-select');
+    const orderMonthSelect = document.getElementById('order-month-select');
+    const monthOrderSelect = document.getElementById('month-order-select');
+    const seasonToggle = document.getElementById('season-toggle');
+    if (!yearOrderSelect || !orderMonthSelect || !monthOrderSelect || !seasonToggle) return;
+    
+    const addOptions = (select, entries) => entries.forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    addOptions(yearOrderSelect, Object.keys(yearOrders).map(key => [key, yearOrders[key].label]));
+    addOptions(orderMonthSelect, monthNames.map((name, i) => [i + 1, name]));
+    addOptions(monthOrderSelect, Object.keys(monthOrders).map(key => [key, monthOrders[key].label]));
+    updateOrderControls(getDefaultViewState([]));
+    
+    yearOrderSelect.addEventListener('change', function() {
+        if (matrix) matrix.setYearOrder(yearOrderSelect.value, +orderMonthSelect.value);
+    });
+    orderMonthSelect.addEventListener('change', function() {
+        if (matrix) matrix.setYearOrder('month', +orderMonthSelect.value);
+    });
+    monthOrderSelect.addEventListener('change', function() {
+        if (matrix) matrix.setMonthOrder(monthOrderSelect.value);
+    });
+    seasonToggle.addEventListener('change', function() {
+        if (matrix) matrix.setSeasonGrouping(seasonToggle.checked);
+    });
+}
+
+// Ordering only applies to the matrix view, and the month choice only to
+// ordering years by a month
+function updateOrderControls(state) {
+    const yearOrderSelect = document.getElementById('year-order-select');
+    const orderMonthSelect = document.getElementById('order-month-select');
+    const monthOrderSelect = document.getElementById('month-order-select');
+    const seasonToggle = document.getElementById('season-toggle');
+    if (!yearOrderSelect || !orderMonthSelect || !monthOrderSelect || !seasonToggle) return;
+    
+    const isMatrix = state.view === 'matrix';
+    yearOrderSelect.value = state.yearOrder;
+    orderMonthSelect.value = state.orderMonth;
+    monthOrderSelect.value = state.monthOrder;
+    seasonToggle.checked = state.groupSeasons;
+    yearOrderSelect.disabled = !isMatrix;
+    orderMonthSelect.disabled = !isMatrix || state.yearOrder !== 'month';
+    monthOrderSelect.disabled = !isMatrix;
+    seasonToggle.disabled = !isMatrix;
+}
+
+function setupStationControls() {
+    const stationSelect = document.getElementById('station-select');
+    const layoutSelect = document.getElementById('station-layout-select');
+    const referenceSelect = document.getElementById('reference-station-select');
+    if (!stationSelect || !layoutSelect || !referenceSelect) return;
+    
+    Object.keys(stationLayouts).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = stationLayouts[key].label;
+        layoutSelect.appendChild(option);
+    });
+    
+    const update = change => {
+        if (!matrix) return;
+        Object.assign(stationState, change);
+        // Never subtract a station from itself
+        if (stationState.reference === stationState.station) {
+            stationState.reference = stations.find(station => station.name !== stationState.station).name;
         }
+        showStations();
+        updateUrlState();
+        announceToScreenReader(stationState.layout === 'multiples'
+            ? `Showing all ${stations.length} stations side by side on a shared color scale`
+            : `Showing ${getStationLabel()}`);
+    };
+    stationSelect.addEventListener('change', () => update({station: stationSelect.value}));
+    layoutSelect.addEventListener('change', () => update({layout: layoutSelect.value}));
+    referenceSelect.addEventListener('change', () => update({reference: referenceSelect.value}));
+}
+
+// Station choices only appear once a dataset has more than one station
+function updateStationControls() {
+    const group = document.getElementById('station-controls');
+    const stationSelect = document.getElementById('station-select');
+    const layoutSelect = document.getElementById('station-layout-select');
+    const referenceSelect = document.getElementById('reference-station-select');
+    if (!group || !stationSelect || !layoutSelect || !referenceSelect) return;
+    
+    group.hidden = stations.length < 2;
+    [stationSelect, referenceSelect].forEach(select => {
+        select.innerHTML = '';
+        stations.forEach(station => {
+            const option = document.createElement('option');
+            option.value = station.name;
+            option.textContent = station.name;
+            select.appendChild(option);
+        });
     });
+    stationSelect.value = stationState.station;
+    layoutSelect.value = stationState.layout;
+    referenceSelect.value = stationState.reference || '';
+    referenceSelect.disabled = stationState.layout !== 'difference';
+}
+
+function setupEventControls() {
+    const eventsToggle = document.getElementById('events-toggle');
+    const recordsSelect = document.getElementById('records-select');
+    const eventsError = document.getElementById('event-settings-error');
+    if (!eventsToggle || !recordsSelect) return;
     
-    // Mouse hover and focus with tooltip
-    cells.on("mouseover", function(event, d) {
-        if (!d.data) return;
-        showTooltip(event, d);
-    })
-    .on("focus", function(event, d) {
-        if (!d.data) return;
-        showTooltip(event, d);
-    })
-    .on("mouseout", function() {
-        hideTooltip();
-    })
-    .on("blur", function() {
-        // Keep tooltip visible for keyboard users until next focus
-    });
-    
-    // Add mini line charts
-    cells.each(function(d) {
-        if (!d.data) return;
-        
-        const cellDaily = dailyLookup[d.key] || [];
-        if (cellDaily.length === 0) return;
-        
-        // Sort by day
-        cellDaily.sort((a, b) => a.day - b.day);
-        
-        // Create mini chart group
-        const chartG = d3.select(this)
-            .append("g")
-            .attr("transform", `translate(${chartMargin},${chartMargin})`)
-            .attr("aria-hidden", "true");
-        
-        // Scale for mini chart
-        const xScale = d3.scaleLinear()
-            .domain([1, d3.max(cellDaily, d => d.day)])
-            .range([0, chartWidth]);
-        
-        // Calculate combined domain for both max and min temperatures
-        const maxTemps = cellDaily.map(d => d.max_temperature);
-        const minTemps = cellDaily.map(d => d.min_temperature);
-        const allTemps = [...maxTemps, ...minTemps];
-        const yScale = d3.scaleLinear()
-            .domain(d3.extent(allTemps))
-            .range([chartHeight, 0]);
+    eventsToggle.checked = false;
+    eventsToggle.addEventListener('change', function() {
+        if (matrix) matrix.setEvents(eventsToggle.checked);
+    });
+    
+    const inputs = [recordsSelect, ...Object.values(eventInputIds).flatMap(id =>
+        [document.getElementById(`${id}-threshold`), document.getElementById(`${id}-days`)])];
+    inputs.forEach(input => input.addEventListener('change', function() {
+        if (!matrix) return;
+        // Thresholds are typed in the display unit
+        const settings = {records: recordsSelect.value};
+        let invalid = null;
+        Object.entries(eventInputIds).forEach(([type, id]) => {
+            const thresholdInput = document.getElementById(`${id}-threshold`);
+            const daysInput = document.getElementById(`${id}-days`);
+            const threshold = parseFloat(thresholdInput.value);
+            const days = Number(daysInput.value);
+            if (!isFinite(threshold)) invalid = invalid || [thresholdInput, 'Thresholds must be numbers'];
+            if (!Number.isInteger(days) || days < 1) invalid = invalid || [daysInput, 'Day counts must be whole numbers of 1 or more'];
+            settings[type] = {threshold, days};
+        });
         
-        // Line generators for both max and min
-        const maxLine = d3.line()
-            .x(d => xScale(d.day))
-            .y(d => yScale(d.max_temperature))
-            .curve(d3.curveMonotoneX);
+        inputs.forEach(el => el.removeAttribute('aria-invalid'));
+        if (invalid) {
+            invalid[0].setAttribute('aria-invalid', 'true');
+            eventsError.textContent = invalid[1];
+            return;
+        }
+        eventsError.textContent = '';
+        matrix.setEventSettings(settings);
+    }));
+}
+
+// Show the current event rules, in the display unit
+function updateEventControls(state) {
+    const eventsToggle = document.getElementById('events-toggle');
+    const recordsSelect = document.getElementById('records-select');
+    if (!eventsToggle || !recordsSelect) return;
+    
+    eventsToggle.checked = state.events;
+    recordsSelect.value = state.eventSettings.records;
+    recordsSelect.disabled = !state.events;
+    Object.entries(eventInputIds).forEach(([type, id]) => {
+        const thresholdInput = document.getElementById(`${id}-threshold`);
+        const daysInput = document.getElementById(`${id}-days`);
+        thresholdInput.value = state.eventSettings[type].threshold;
+        daysInput.value = state.eventSettings[type].days;
+        thresholdInput.disabled = !state.events;
+        daysInput.disabled = !state.events;
+    });
+    document.querySelectorAll('.event-unit').forEach(el => {
+        el.textContent = units[state.unit].symbol;
+    });
+    if (dataReport && dataReport.unit !== state.unit) {
+        showDataReport(dataReport.result, dataReport.checked, dataReport.sourceName);
+    }
+}
+
+function setupUnitToggle() {
+    const unitButton = document.getElementById('unit-toggle-btn');
+    if (!unitButton) return;
+    
+    unitButton.addEventListener('click', function() {
+        if (matrix) matrix.setUnit(matrix.getState().unit === 'C' ? 'F' : 'C');
+    });
+    updateUnitToggle({unit: 'C'});
+}
+
+function updateUnitToggle(state) {
+    const unitButton = document.getElementById('unit-toggle-btn');
+    if (!unitButton) return;
+    
+    const other = state.unit === 'C' ? 'F' : 'C';
+    unitButton.textContent = units[state.unit].symbol;
+    unitButton.setAttribute('aria-label', `Temperature unit: ${units[state.unit].label}. Activate to switch to ${units[other].label}.`);
+    unitButton.setAttribute('aria-pressed', (state.unit === 'F').toString());
+}
+
+// Keep the page heading and document title in sync with the stations and year range
+function updatePageTitles(state) {
+    const title = `${getStationLabel()} ${pageTitle} (${state.startYear}-${state.endYear})`;
+    document.title = title;
+    
+    const heading = document.getElementById('page-title');
+    if (heading) heading.textContent = title;
+    
+    const subtitle = document.getElementById('page-subtitle');
+    if (subtitle) {
+        const yearCount = state.endYear - state.startYear + 1;
+        subtitle.textContent = `Explore ${yearCount} year${yearCount === 1 ? '' : 's'} of temperature patterns in an interactive matrix view`;
+    }
+    
+    const container = document.getElementById('matrix-container');
+    if (container) {
+        container.setAttribute('aria-label', `Matrix visualization of monthly temperatures from ${state.startYear} to ${state.endYear}`);
+    }
+}
+
+// Fill a pair of year dropdowns from the years actually present in the data
+function fillYearSelects(startSelect, endSelect, start, end) {
+    [startSelect, endSelect].forEach(select => {
+        select.innerHTML = '';
+        matrix.getYears().forEach(year => {
+            const option = document.createElement('option');
+            option.value = year;
+            option.textContent = year;
+            select.appendChild(option);
+        });
+    });
+    startSelect.value = start;
+    endSelect.value = end;
+}
+
+function populateYearSelects(state) {
+    const startSelect = document.getElementById('start-year-select');
+    const endSelect = document.getElementById('end-year-select');
+    if (startSelect && endSelect) fillYearSelects(startSelect, endSelect, state.startYear, state.endYear);
+}
+
+// List every year in the comparison picker, selecting the compared ones
+function populateComparisonSelect(state) {
+    const comparisonSelect = document.getElementById('comparison-select');
+    if (!comparisonSelect) return;
+    comparisonSelect.innerHTML = '';
+    matrix.getYears().forEach(year => {
+        const option = document.createElement('option');
+        option.value = year;
+        option.textContent = year;
+        option.selected = state.comparisonYears.includes(year);
+        comparisonSelect.appendChild(option);
+    });
+}
+
+function setupComparisonControls() {
+    const comparisonSelect = document.getElementById('comparison-select');
+    if (!comparisonSelect) return;
+    
+    comparisonSelect.addEventListener('change', function() {
+        const years = [...comparisonSelect.selectedOptions].map(option => +option.value);
+        if (matrix) matrix.setComparisonYears(years);
+    });
+}
+
+// Fill the baseline period dropdowns from all years in the dataset
+function populateBaselineSelects(state) {
+    const startSelect = document.getElementById('baseline-start-select');
+    const endSelect = document.getElementById('baseline-end-select');
+    if (startSelect && endSelect) fillYearSelects(startSelect, endSelect, state.baselineStart, state.baselineEnd);
+}
+
+function setupYearRangeControls() {
+    const startSelect = document.getElementById('start-year-select');
+    const endSelect = document.getElementById('end-year-select');
+    if (!startSelect || !endSelect) return;
+    
+    startSelect.addEventListener('change', function() {
+        const year = +startSelect.value;
+        // Keep the range valid by pulling the end year along
+        if (year > +endSelect.value) endSelect.value = year;
+        if (matrix) matrix.setRange(year, +endSelect.value);
+    });
+    
+    endSelect.addEventListener('change', function() {
+        const year = +endSelect.value;
+        if (year < +startSelect.value) startSelect.value = year;
+        if (matrix) matrix.setRange(+startSelect.value, year);
+    });
+}
+
+// Guess which columns hold the date, max and min values from their headers,
+// and the station in long-format files ('' when there is none)
+function guessColumnMapping(columns) {
+    const find = pattern => columns.find(c => pattern.test(c)) || '';
+    return {
+        date: columns.includes(defaultColumnMapping.date) ? defaultColumnMapping.date : find(/date|day|time/i),
+        max: columns.includes(defaultColumnMapping.max) ? defaultColumnMapping.max : find(/max|high/i),
+        min: columns.includes(defaultColumnMapping.min) ? defaultColumnMapping.min : find(/min|low/i),
+        station: find(/station|site|location/i)
+    };
+}
+
+// Station name for a file without a station column: its name without the extension
+function getFileStation(fileName) {
+    return fileName.replace(/\.[^.]+$/, '');
+}
+
+// Read a local CSV or JSON file into rows and their column names
+function readDataFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (extension !== 'csv' && extension !== 'json') {
+        return Promise.reject(new Error(`Unsupported file type ".${extension}". Please choose CSV or JSON files.`));
+    }
+    
+    return file.text().then(text => {
+        let rows, columns, firstRowNumber;
+        if (extension === 'json') {
+            const parsed = JSON.parse(text);
+            rows = Array.isArray(parsed) ? parsed : parsed && parsed.data;
+            if (!Array.isArray(rows)) {
+                throw new Error('JSON must be an array of records or an object with a "data" array.');
+            }
+            // Non-object entries are kept so they are reported as malformed rows
+            rows = rows.map(r => (r && typeof r === 'object') ? r : {});
+            columns = [...new Set(rows.flatMap(r => Object.keys(r)))];
+            firstRowNumber = 1;
+        } else {
+            rows = d3.csvParse(text);
+            columns = rows.columns;
+            firstRowNumber = 2;
+        }
         
-        const minLine = d3.line()
-            .x(d => xScale(d.day))
-            .y(d => yScale(d.min_temperature))
-            .curve(d3.curveMonotoneX);
+        if (rows.length === 0) throw new Error('The file contains no data rows.');
+        return {rows, columns, firstRowNumber, name: file.name};
+    }).catch(error => {
+        throw new Error(`Could not read ${file.name}: ${error.message}`);
+    });
+}
+
+// Load one file, asking for a column mapping when its headers are not the
+// expected ones, or several files as one station each
+function loadFiles(files) {
+    if (files.length > 1) {
+        loadStationFiles(files);
+        return;
+    }
+    
+    readDataFile(files[0]).then(dataset => {
+        const mapping = guessColumnMapping(dataset.columns);
+        const isDefaultSchema = Object.keys(defaultColumnMapping)
+            .every(field => mapping[field] === defaultColumnMapping[field]);
         
-        // Calculate max and min temperatures for color coding
-        const maxTempValue = d3.max(maxTemps);
-        const minTempValue = d3.min(minTemps);
+        if (isDefaultSchema) {
+            applyDataset(parseRows(dataset.rows, mapping, dataset.firstRowNumber), dataset.name, getFileStation(dataset.name));
+        } else {
+            pendingDataset = dataset;
+            showColumnMapping(dataset.columns, mapping);
+        }
+    }).catch(error => {
+        console.error("Error reading file:", error);
+        showDataError(error.message);
+    });
+}
+
+// Several files are combined into one dataset. Each is a station named after
+// the file, unless it has a station column of its own.
+function loadStationFiles(files) {
+    Promise.all(files.map(readDataFile)).then(datasets => {
+        const unmapped = [];
+        const combined = {data: [], skipped: [], total: 0};
+        datasets.forEach(dataset => {
+            const mapping = guessColumnMapping(dataset.columns);
+            if (!mapping.date || !mapping.max || !mapping.min) {
+                unmapped.push(dataset.name);
+                return;
+            }
+            const result = parseRows(dataset.rows, mapping, dataset.firstRowNumber);
+            const station = getFileStation(dataset.name);
+            result.data.forEach(d => {
+                if (!d.station) d.station = station;
+            });
+            combined.data.push(...result.data);
+            combined.skipped.push(...result.skipped.map(issue => ({...issue, source: dataset.name})));
+            combined.total += result.total;
+        });
         
-        // Get base colors from color scale
-        const baseMinColor = colorScale(minTempValue);
-        const baseMaxColor = colorScale(maxTempValue);
+        if (unmapped.length > 0) {
+            showDataError(`Could not find date, maximum and minimum columns in ${unmapped.join(', ')}. Load ${unmapped.length === 1 ? 'it' : 'each of them'} on its own to choose the columns.`);
+            return;
+        }
+        applyDataset(combined, `${files.length} files`);
+    }).catch(error => {
+        console.error("Error reading file:", error);
+        showDataError(error.message);
+    });
+}
+
+// Show the column mapping form, pre-selecting guessed columns
+function showColumnMapping(columns, mapping) {
+    const panel = document.getElementById('column-mapping');
+    if (!panel) return;
+    
+    ['date', 'max', 'min', 'station'].forEach(field => {
+        const select = document.getElementById(`map-${field}`);
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = field === 'station' ? 'None (one station)' : 'Select column…';
+        select.appendChild(placeholder);
+        columns.forEach(column => {
+            const option = document.createElement('option');
+            option.value = column;
+            option.textContent = column;
+            select.appendChild(option);
+        });
+        select.value = mapping[field];
+    });
+    
+    document.getElementById('mapping-file-name').textContent = pendingDataset.name;
+    panel.hidden = false;
+    document.getElementById('map-date').focus();
+    announceToScreenReader(`Column headers in ${pendingDataset.name} differ from the expected ones. Please map the date, maximum and minimum columns, and the station column if it has one.`);
+}
+
+function hideColumnMapping() {
+    const panel = document.getElementById('column-mapping');
+    if (panel) panel.hidden = true;
+    pendingDataset = null;
+}
+
+// Data-quality report: how many rows were used, and every problem found
+// while parsing and checking them, grouped by kind. `checked` has the
+// quality check of each station.
+function showDataReport(result, checked, sourceName) {
+    const report = document.getElementById('data-report');
+    if (!report) return;
+    
+    const unit = matrix ? matrix.getState().unit : 'C';
+    dataReport = {result, checked, sourceName, unit};
+    // Sections left open stay open when the report is redrawn in another unit
+    const openSections = [...report.querySelectorAll('details[open] > summary')].map(el => el.textContent);
+    report.className = 'data-report';
+    report.setAttribute('role', 'status');
+    report.innerHTML = '';
+    
+    // Issues of every station, named when there are several
+    const multiple = checked.length > 1;
+    const issuesOf = kind => checked.flatMap(({name, quality}) =>
+        quality.issues[kind].map(issue => ({...issue, station: name})));
+    const rowIssue = describe => issue => `Row ${issue.row} (${multiple ? `${issue.station}, ` : ''}${issue.date}): ${describe(issue)}`;
+    const missing = issuesOf('missing');
+    const missingDays = d3.sum(missing, gap => gap.days);
+    const gapText = gap => gap.days === 1 ? gap.start : `${gap.start} to ${gap.end} (${gap.days} days)`;
+    const sections = [
+        {title: 'Malformed rows (skipped)', items: result.skipped.map(formatSkippedRow)},
+        {
+            title: 'Impossible values (skipped)',
+            items: issuesOf('impossible').map(rowIssue(issue => `impossible temperature ${formatIssueTemperature(issue.value, unit)}`))
+        },
+        {
+            title: 'Minimum above maximum (skipped)',
+            items: issuesOf('minAboveMax').map(rowIssue(issue =>
+                `minimum ${formatIssueTemperature(issue.min, unit)} is above maximum ${formatIssueTemperature(issue.max, unit)}`))
+        },
+        {
+            title: 'Duplicate dates (later rows skipped)',
+            items: issuesOf('duplicates').map(rowIssue(issue => `duplicate of row ${issue.duplicateOf}`))
+        },
+        {
+            title: `Missing dates: ${missingDays} day${missingDays === 1 ? '' : 's'} in`,
+            items: missing.map(gap => multiple ? `${gap.station}: ${gapText(gap)}` : gapText(gap)),
+            unit: 'gap'
+        }
+    ].filter(section => section.items.length > 0);
+    
+    const used = d3.sum(checked, ({quality}) => quality.data.length);
+    const firstDate = d3.min(checked, ({quality}) => quality.firstDate);
+    const lastDate = d3.max(checked, ({quality}) => quality.lastDate);
+    const summary = document.createElement('p');
+    summary.textContent = `Loaded ${used} of ${result.total} rows from ${sourceName}, covering ${firstDate} to ${lastDate}.`;
+    if (multiple) summary.textContent += ` Stations: ${checked.map(({name}) => name).join(', ')}.`;
+    summary.textContent += sections.length > 0
+        ? ' Data-quality issues were found; months with missing days are hatched in the matrix.'
+        : ' No data-quality issues found.';
+    report.appendChild(summary);
+    
+    sections.forEach(section => {
+        const details = document.createElement('details');
+        details.className = 'issue-section';
+        const heading = document.createElement('summary');
+        const count = section.items.length;
+        heading.textContent = section.unit
+            ? `${section.title} ${count} ${section.unit}${count === 1 ? '' : 's'}`
+            : `${section.title}: ${count}`;
+        details.appendChild(heading);
+        details.open = openSections.includes(heading.textContent);
+        appendIssueList(details, section.items);
+        report.appendChild(details);
+    });
+    report.hidden = false;
+}
+
+function showDataError(message, skipped = []) {
+    const report = document.getElementById('data-report');
+    if (!report) return;
+    
+    dataReport = null;
+    report.className = 'data-report error-message';
+    report.setAttribute('role', 'alert');
+    report.innerHTML = '';
+    
+    const text = document.createElement('p');
+    text.textContent = message;
+    report.appendChild(text);
+    appendIssueList(report, skipped.map(formatSkippedRow));
+    report.hidden = false;
+}
+
+// A Celsius value from the data in the display unit to at most one decimal,
+// e.g. "210°C" or "410°F"
+function formatIssueTemperature(value, unit) {
+    const converted = unit === 'F' ? value * 9 / 5 + 32 : value;
+    return `${+converted.toFixed(1)}${units[unit].symbol}`;
+}
+
+// e.g. "Row 12 of sha_tin.csv: invalid date" (the file is named when several were loaded)
+function formatSkippedRow(issue) {
+    return `Row ${issue.row}${issue.source ? ` of ${issue.source}` : ''}: ${issue.reason}`;
+}
+
+function appendIssueList(parent, items) {
+    if (items.length === 0) return;
+    
+    const list = document.createElement('ul');
+    list.className = 'issue-list';
+    items.forEach(text => {
+        const item = document.createElement('li');
+        item.textContent = text;
+        list.appendChild(item);
+    });
+    parent.appendChild(list);
+}
+
+function setupDataSourceControls() {
+    const fileInput = document.getElementById('file-input');
+    const dropZone = document.getElementById('drop-zone');
+    const mappingForm = document.getElementById('column-mapping');
+    
+    if (fileInput) {
+        fileInput.addEventListener('change', function() {
+            if (fileInput.files.length > 0) loadFiles([...fileInput.files]);
+            // Allow the same file to be chosen again after fixing it
+            fileInput.value = '';
+        });
+    }
+    
+    if (dropZone) {
+        dropZone.addEventListener('dragover', function(event) {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', function() {
+            dropZone.classList.remove('drag-over');
+        });
+        dropZone.addEventListener('drop', function(event) {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+            const files = event.dataTransfer.files;
+            if (files.length > 0) loadFiles([...files]);
+        });
+    }
+    
+    // Stop files dropped outside the target from navigating away from the page
+    window.addEventListener('dragover', event => event.preventDefault());
+    window.addEventListener('drop', event => event.preventDefault());
+    
+    if (mappingForm) {
+        mappingForm.addEventListener('submit', function(event) {
+            event.preventDefault();
+            if (!pendingDataset) return;
+            
+            const mapping = {
+                date: document.getElementById('map-date').value,
+                max: document.getElementById('map-max').value,
+                min: document.getElementById('map-min').value,
+                station: document.getElementById('map-station').value
+            };
+            const required = [mapping.date, mapping.max, mapping.min];
+            if (required.some(c => !c) || new Set(required).size !== required.length) {
+                showDataError('Please choose three different columns for date, maximum and minimum temperature.');
+                return;
+            }
+            if (required.includes(mapping.station)) {
+                showDataError('The station column must differ from the date and temperature columns.');
+                return;
+            }
+            
+            const dataset = pendingDataset;
+            hideColumnMapping();
+            applyDataset(parseRows(dataset.rows, mapping, dataset.firstRowNumber), dataset.name, getFileStation(dataset.name));
+        });
         
-        // Draw min temperature line with adjusted color for visibility
-        chartG.append("path")
-            .datum(cellDaily)
-            .attr("fill", "none")
-            .attr("stroke", getLineColor(baseMinColor, false))
-            .attr("stroke-width", 1.5)
-            .attr("class", "min-line")
-            .attr("d", minLine);
+        document.getElementById('cancel-mapping-btn').addEventListener('click', hideColumnMapping);
+    }
+}
+
+// Serialize the shareable view state into URL hash parameters
+function getUrlState() {
+    const state = matrix.getState();
+    const params = new URLSearchParams();
+    if (state.view !== 'matrix') params.set('view', state.view);
+    params.set('metric', state.metric);
+    params.set('from', state.startYear);
+    params.set('to', state.endYear);
+    if (state.anomaly) params.set('baseline', `${state.baselineStart}-${state.baselineEnd}`);
+    params.set('scheme', state.palette);
+    if (state.unit !== 'C') params.set('unit', state.unit);
+    if (state.reversePalette) params.set('reverse', '1');
+    if (state.excludeIncomplete) params.set('complete', '1');
+    if (state.trends) params.set('trend', '1');
+    if (state.table) params.set('table', '1');
+    if (state.distribution !== 'none') params.set('distribution', state.distribution);
+    if (state.ridgeline) params.set('ridgeline', '1');
+    if (state.events) {
+        params.set('events', '1');
+        // Thresholds in the display unit, as in the event inputs
+        params.set('ev', formatEventSettings(state.eventSettings));
+    }
+    if (state.yearOrder !== 'chronological') params.set('order', state.yearOrder);
+    if (state.yearOrder === 'month') params.set('ordermonth', state.orderMonth);
+    if (state.monthOrder !== 'calendar') params.set('rows', state.monthOrder);
+    if (state.groupSeasons) params.set('seasons', '1');
+    if (state.renderer !== 'svg') params.set('renderer', state.renderer);
+    if (state.comparisonYears.length) params.set('compare', state.comparisonYears.join(','));
+    if (stations.length > 1) {
+        params.set('station', stationState.station);
+        if (stationState.layout !== 'single') params.set('layout', stationState.layout);
+        if (stationState.layout === 'difference') params.set('minus', stationState.reference);
+    }
+    if (focusedCellKey) params.set('cell', focusedCellKey);
+    if (detailCellKey) params.set('detail', detailCellKey);
+    return params;
+}
+
+// Write the current view to the URL hash; each view change becomes a history entry
+function updateUrlState(replace = false) {
+    if (restoringState || !matrix) return;
+    const hash = '#' + getUrlState().toString();
+    if (hash === window.location.hash) return;
+    try {
+        if (replace) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    } catch (error) {
+        // Some browsers refuse to rewrite the URL of a page opened from disk
+        // (the offline build); the view still works, it just is not in the URL
+    }
+}
+
+// Parse a "YYYY-YYYY" year span, returning null unless both years are in the data
+function parseYearSpan(value, years) {
+    const match = /^(\d{4})-(\d{4})$/.exec(value || '');
+    if (!match) return null;
+    const start = +match[1];
+    const end = +match[2];
+    const first = years[0];
+    const last = years[years.length - 1];
+    if (start > end || start < first || end > last) return null;
+    return [start, end];
+}
+
+// Parse a "YYYY-M" cell key or a "YYYY-MM-DD" calendar day, returning it
+// only if it is inside the selected range
+function parseCellKey(value, state) {
+    const match = /^(\d{4})-(\d{1,2})(?:-(\d{2}))?$/.exec(value || '');
+    if (!match) return null;
+    const year = +match[1];
+    const month = +match[2];
+    if (year < state.startYear || year > state.endYear || month < 1 || month > 12) return null;
+    if (match[3] === undefined) return `${year}-${month}`;
+    const date = new Date(year, month - 1, +match[3]);
+    return date.getMonth() === month - 1 ? value : null;
+}
+
+// Read view state from the URL hash on top of the defaults for the station it names.
+// Invalid values are ignored and listed in a visible notice.
+// Also returns the focused and detail cell keys, which need the matrix to
+// exist first, and the station layout.
+function readUrlState() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const problems = [];
+    const stationChoice = readStationParams(params, problems);
+    const years = getYears(getStation(stationChoice.station).data);
+    const state = {...getDefaultViewState(years), ...loadSavedPalette()};
+    
+    if (params.has('view')) {
+        if (views[params.get('view')]) {
+            state.view = params.get('view');
+        } else {
+            problems.push(`unknown view "${params.get('view')}"`);
+        }
+    }
+    
+    if (params.has('metric')) {
+        if (metrics[params.get('metric')]) {
+            state.metric = params.get('metric');
+        } else {
+            problems.push(`unknown metric "${params.get('metric')}"`);
+        }
+    }
+    
+    if (params.has('scheme')) {
+        if (palettes[params.get('scheme')]) {
+            state.palette = params.get('scheme');
+            state.reversePalette = params.get('reverse') === '1';
+        } else {
+            problems.push(`unknown color scheme "${params.get('scheme')}"`);
+        }
+    }
+    
+    if (params.has('unit')) {
+        if (units[params.get('unit')]) {
+            state.unit = params.get('unit');
+        } else {
+            problems.push(`unknown unit "${params.get('unit')}"`);
+        }
+    }
+    
+    if (params.get('complete') === '1') state.excludeIncomplete = true;
+    if (params.get('trend') === '1') state.trends = true;
+    if (params.get('table') === '1') state.table = true;
+    if (params.get('ridgeline') === '1') state.ridgeline = true;
+    if (params.get('events') === '1') state.events = true;
+    if (params.has('ev')) {
+        const settings = parseEventSettings(params.get('ev'));
+        if (settings) {
+            state.eventSettings = settings;
+        } else {
+            problems.push(`invalid event thresholds "${params.get('ev')}"`);
+        }
+    }
+    if (params.get('seasons') === '1') state.groupSeasons = true;
+    
+    if (params.has('order')) {
+        if (yearOrders[params.get('order')]) {
+            state.yearOrder = params.get('order');
+        } else {
+            problems.push(`unknown year order "${params.get('order')}"`);
+        }
+    }
+    
+    if (params.has('ordermonth')) {
+        const month = Number(params.get('ordermonth'));
+        if (Number.isInteger(month) && month >= 1 && month <= 12) {
+            state.orderMonth = month;
+        } else {
+            problems.push(`month "${params.get('ordermonth')}" to order years by is not 1–12`);
+        }
+    }
+    
+    if (params.has('rows')) {
+        if (monthOrders[params.get('rows')]) {
+            state.monthOrder = params.get('rows');
+        } else {
+            problems.push(`unknown month order "${params.get('rows')}"`);
+        }
+    }
+    
+    if (params.has('renderer')) {
+        if (renderers[params.get('renderer')]) {
+            state.renderer = params.get('renderer');
+        } else {
+            problems.push(`unknown renderer "${params.get('renderer')}"`);
+        }
+    }
+    
+    if (params.has('distribution')) {
+        if (distributionCharts[params.get('distribution')]) {
+            state.distribution = params.get('distribution');
+        } else {
+            problems.push(`unknown distribution chart "${params.get('distribution')}"`);
+        }
+    }
+    
+    if (params.has('from') || params.has('to')) {
+        const range = parseYearSpan(`${params.get('from')}-${params.get('to')}`, years);
+        if (range) {
+            [state.startYear, state.endYear] = range;
+        } else {
+            problems.push(`year range "${params.get('from')} to ${params.get('to')}" is outside ${years[0]}–${years[years.length - 1]}`);
+        }
+    }
+    
+    if (params.has('compare')) {
+        const compare = params.get('compare').split(',').map(Number);
+        const unknown = compare.filter(year => !years.includes(year));
+        state.comparisonYears = compare.filter(year => years.includes(year));
+        if (unknown.length) problems.push(`comparison years "${params.get('compare')}" include years not in the data`);
+    }
+    
+    if (params.has('baseline')) {
+        const span = parseYearSpan(params.get('baseline'), years);
+        if (span) {
+            [state.baselineStart, state.baselineEnd] = span;
+            state.anomaly = true;
+        } else {
+            problems.push(`baseline period "${params.get('baseline')}" is not available`);
+        }
+    }
+    
+    const cellState = {};
+    ['cell', 'detail'].forEach(name => {
+        if (!params.has(name)) return;
+        const key = parseCellKey(params.get(name), state);
+        if (key) {
+            cellState[name] = key;
+        } else {
+            problems.push(`${name === 'cell' ? 'focused' : 'selected'} cell "${params.get(name)}" is outside the year range`);
+        }
+    });
+    
+    showUrlNotice(problems);
+    return {state, cellState, stationChoice};
+}
+
+// Station, layout and station to subtract from URL parameters
+function readStationParams(params, problems) {
+    const choice = getDefaultStationState();
+    if (params.has('station')) {
+        if (getStation(params.get('station'))) {
+            choice.station = params.get('station');
+        } else {
+            problems.push(`unknown station "${params.get('station')}"`);
+        }
+    }
+    
+    if (params.has('minus')) {
+        const name = params.get('minus');
+        if (getStation(name) && name !== choice.station) {
+            choice.reference = name;
+        } else {
+            problems.push(`station "${name}" to subtract is unknown or the one shown`);
+        }
+    }
+    // The default reference must differ from a station picked in the URL
+    if (choice.reference === choice.station) {
+        choice.reference = stations.find(station => station.name !== choice.station).name;
+    }
+    
+    if (params.has('layout')) {
+        const layout = params.get('layout');
+        if (stationLayouts[layout] && (layout === 'single' || stations.length > 1)) {
+            choice.layout = layout;
+        } else {
+            problems.push(`station layout "${layout}" is unknown or needs more than one station`);
+        }
+    }
+    return choice;
+}
+
+// Focus the shared cell and reopen its detail panel, if any
+function applyCellState(cellState) {
+    if (cellState.cell) matrix.focusCell(cellState.cell);
+    if (cellState.detail) matrix.openDetail(cellState.detail);
+}
+
+function showUrlNotice(problems) {
+    const notice = document.getElementById('url-notice');
+    if (!notice) return;
+    
+    if (problems.length === 0) {
+        notice.hidden = true;
+        return;
+    }
+    document.getElementById('url-notice-text').textContent =
+        `Some settings in this link were invalid and the defaults were used instead: ${problems.join('; ')}.`;
+    notice.hidden = false;
+}
+
+// Browser back/forward restores the view stored in that history entry
+function setupHistoryNavigation() {
+    window.addEventListener('popstate', function() {
+        if (!matrix) return;
         
-        // Draw max temperature line with adjusted color for visibility
-        chartG.append("path")
-            .datum(cellDaily)
-            .attr("fill", "none")
-            .attr("stroke", getLineColor(baseMaxColor, true))
-            .attr("stroke-width", 1.5)
-            .attr("class", "max-line")
-            .attr("d", maxLine);
-    });
-    
-    // Add year labels (x-axis)
-    g.selectAll(".year-label")
-        .data(years)
-        .enter()
-        .append("text")
-        .attr("class", "year-label")
-        .attr("x", d => years.indexOf(d) * (cellWidth + cellSpacing) + cellWidth / 2)
-        .attr("y", -10)
-        .attr("text-anchor", "middle")
-        .style("font-size", "12px")
-        .style("font-weight", "bold")
-        .style("fill", "#e0e0e0")
-        .attr("aria-hidden", "true")
-        .text(d => d);
-    
-    // Add month labels (y-axis)
-    g.selectAll(".month-label")
-        .data(months)
-        .enter()
-        .append("text")
-        .attr("class", "month-label")
-        .attr("x", -10)
-        .attr("y", d => months.indexOf(d) * (cellHeight + cellSpacing) + cellHeight / 2)
-        .attr("text-anchor", "end")
-        .attr("dominant-baseline", "middle")
-        .style("font-size", "12px")
-        .style("font-weight", "bold")
-        .style("fill", "#e0e0e0")
-        .attr("aria-hidden", "true")
-        .text(d => monthNames[d - 1]);
-    
-    // Create tooltip (use existing element from HTML)
-    tooltip = d3.select("#tooltip");
-    
-    // Create legend
-    createLegend(width);
-    
-    // Title (removed mode indicator - now using HTML button)
-    svg.append("text")
-        .attr("x", width / 2)
-        .attr("y", 30)
-        .attr("text-anchor", "middle")
-        .style("font-size", "18px")
-        .style("font-weight", "bold")
-        .style("fill", "#e0e0e0")
-        .text("Hong Kong Monthly Temperature Matrix (2008-2017)");
-    
-    // Announce to screen reader
-    announceToScreenReader(`Temperature matrix loaded. Showing ${years.length} years of data. Use Tab to navigate cells, Enter or Space to toggle view.`);
+        restoringState = true;
+        const {state, cellState, stationChoice} = readUrlState();
+        matrix.closeDetail();
+        stationState = stationChoice;
+        showStations(state);
+        applyCellState(cellState);
+        restoringState = false;
+    });
+    
+    const dismissButton = document.getElementById('url-notice-dismiss');
+    if (dismissButton) {
+        dismissButton.addEventListener('click', () => showUrlNotice([]));
+    }
 }
 
 function setupToggleButton() {
     const toggleButton = document.getElementById('toggle-view-btn');
     if (toggleButton) {
-        toggleButton.addEventListener('click', function() {
-            showMax = !showMax;
-            updateVisualization();
-            updateToggleButton();
-            announceToScreenReader(`Switched to ${showMax ? 'maximum' : 'minimum'} temperature view`);
+        toggleButton.addEventListener('click', () => {
+            if (matrix) matrix.toggleMaxMin();
         });
         
         // Keyboard support
@@ -446,223 +1337,223 @@ function setupToggleButton() {
             }
         });
         
-        updateToggleButton();
+        updateToggleButton(getDefaultViewState([]));
     }
 }
 
-function updateToggleButton() {
-    const toggleButton = document.getElementById('toggle-view-btn');
-    const viewText = document.getElementById('view-text');
-    const viewIcon = document.getElementById('view-icon');
+function setupViewSelect() {
+    const viewSelect = document.getElementById('view-select');
+    if (!viewSelect) return;
     
-    if (toggleButton && viewText && viewIcon) {
-        const viewLabel = showMax ? 'Maximum Temperature' : 'Minimum Temperature';
-        viewText.textContent = viewLabel;
-        viewIcon.textContent = showMax ? '🌡️' : '❄️';
-        toggleButton.setAttribute('aria-label', `Toggle between maximum and minimum temperature view. Currently showing ${viewLabel.toLowerCase()}.`);
-        toggleButton.setAttribute('aria-pressed', showMax.toString());
-    }
+    Object.keys(views).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = views[key].label;
+        viewSelect.appendChild(option);
+    });
+    viewSelect.value = getDefaultViewState([]).view;
+    
+    viewSelect.addEventListener('change', function() {
+        if (matrix) matrix.setView(viewSelect.value);
+    });
 }
 
-function showTooltip(event, d) {
-    if (!d.data) return;
+function setupRendererSelect() {
+    const rendererSelect = document.getElementById('renderer-select');
+    if (!rendererSelect) return;
     
-    const cellDaily = dailyLookup[d.key] || [];
-    const dailyCount = cellDaily.length;
+    Object.keys(renderers).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = renderers[key].label;
+        rendererSelect.appendChild(option);
+    });
+    rendererSelect.value = getDefaultViewState([]).renderer;
     
-    // Calculate actual max/min temperatures
-    let temp, maxTemp, minTemp;
-    if (showMax) {
-        temp = cellDaily.length > 0 ? d3.max(cellDaily.map(day => day.max_temperature)).toFixed(1) : 'N/A';
-        maxTemp = cellDaily.length > 0 ? d3.max(cellDaily.map(day => day.max_temperature)).toFixed(1) : 'N/A';
-        minTemp = cellDaily.length > 0 ? d3.min(cellDaily.map(day => day.max_temperature)).toFixed(1) : 'N/A';
-    } else {
-        temp = cellDaily.length > 0 ? d3.min(cellDaily.map(day => day.min_temperature)).toFixed(1) : 'N/A';
-        maxTemp = cellDaily.length > 0 ? d3.max(cellDaily.map(day => day.min_temperature)).toFixed(1) : 'N/A';
-        minTemp = cellDaily.length > 0 ? d3.min(cellDaily.map(day => day.min_temperature)).toFixed(1) : 'N/A';
-    }
-    const tempType = showMax ? "Maximum" : "Minimum";
-    const date = `${monthNames[d.month - 1]} ${d.year}`;
-    
-    tooltip
-        .attr("aria-hidden", "false")
-        .style("opacity", 1)
-        .html(`
-            <strong>${date}</strong>
-            <div style="margin-top: 8px;">
-                <div style="margin-bottom: 4px;">${tempType} Temperature: <strong>${temp}°C</strong></div>
-                <div style="font-size: 0.9em; color: #b0b0b0;">
-                    Range: ${minTemp}°C - ${maxTemp}°C<br/>
-                    ${dailyCount} days of data
-                </div>
-            </div>
-        `)
-        .style("left", (event.pageX + 15) + "px")
-        .style("top", (event.pageY - 10) + "px");
-}
-
-function hideTooltip() {
-    tooltip
-        .attr("aria-hidden", "true")
-        .style("opacity", 0);
-}
-
-function updateVisualization() {
-    // Update cell background colors - switch between max and min temperature visualization
-    cells.select("rect")
-        .attr("fill", d => {
-            if (!d.data) return "#1a1a1a";
-            // Use actual max/min from daily data, not monthly averages
-            const cellDaily = dailyLookup[d.key] || [];
-            if (cellDaily.length === 0) return "#1a1a1a";
-            
-            let temp;
-            if (showMax) {
-                // Get the maximum of all max temperatures for this month
-                temp = d3.max(cellDaily.map(day => day.max_temperature));
-            } else {
-                // Get the minimum of all min temperatures for this month
-                temp = d3.min(cellDaily.map(day => day.min_temperature));
-            }
-            return colorScale(temp);
-        });
+    rendererSelect.addEventListener('change', function() {
+        if (matrix) matrix.setRenderer(rendererSelect.value);
+    });
+}
+
+function setupMetricSelect() {
+    const metricSelect = document.getElementById('metric-select');
+    if (!metricSelect) return;
     
-    // Update ARIA labels
-    cells.attr("aria-label", d => {
-        if (!d.data) return `${monthNames[d.month - 1]} ${d.year}, no data available`;
-        // Use actual max/min from daily data
-        const cellDaily = dailyLookup[d.key] || [];
-        if (cellDaily.length === 0) return `${monthNames[d.month - 1]} ${d.year}, no data available`;
-        
-        let temp;
-        if (showMax) {
-            temp = d3.max(cellDaily.map(day => day.max_temperature));
+    Object.keys(metrics).forEach(key => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = metrics[key].label;
+        metricSelect.appendChild(option);
+    });
+    metricSelect.value = getDefaultViewState([]).metric;
+    
+    metricSelect.addEventListener('change', function() {
+        if (matrix) matrix.setMetric(metricSelect.value);
+    });
+}
+
+function setupAnomalyControls() {
+    const anomalyToggle = document.getElementById('anomaly-toggle');
+    const startSelect = document.getElementById('baseline-start-select');
+    const endSelect = document.getElementById('baseline-end-select');
+    if (!anomalyToggle || !startSelect || !endSelect) return;
+    
+    anomalyToggle.checked = false;
+    anomalyToggle.addEventListener('change', function() {
+        if (matrix) matrix.setAnomaly(anomalyToggle.checked);
+    });
+    
+    startSelect.addEventListener('change', function() {
+        const year = +startSelect.value;
+        if (year > +endSelect.value) endSelect.value = year;
+        if (matrix) matrix.setBaseline(year, +endSelect.value);
+    });
+    
+    endSelect.addEventListener('change', function() {
+        const year = +endSelect.value;
+        if (year < +startSelect.value) startSelect.value = year;
+        if (matrix) matrix.setBaseline(+startSelect.value, year);
+    });
+}
+
+function updateToggleButton(state) {
+    const toggleButton = document.getElementById('toggle-view-btn');
+    const viewText = document.getElementById('view-text');
+    const viewIcon = document.getElementById('view-icon');
+    const metricSelect = document.getElementById('metric-select');
+    const metric = metrics[state.metric];
+    
+    if (toggleButton && viewText && viewIcon) {
+        viewText.textContent = metric.label;
+        viewIcon.textContent = metric.icon;
+        // Metrics without a maximum/minimum counterpart have nothing to toggle to
+        toggleButton.disabled = !metric.pair;
+        if (metric.pair) {
+            toggleButton.setAttribute('aria-label', `Toggle between maximum and minimum temperature view. Currently showing ${metric.label.toLowerCase()}.`);
+            toggleButton.setAttribute('aria-pressed', metric.isMax.toString());
         } else {
-            temp = d3.min(cellDaily.map(day => day.min_temperature));
+            toggleButton.setAttribute('aria-label', `Maximum and minimum toggle, not available for ${metric.label.toLowerCase()}. Choose another metric from the Color Metric list.`);
+            toggleButton.removeAttribute('aria-pressed');
         }
-        const tempType = showMax ? "maximum" : "minimum";
-        return `${monthNames[d.month - 1]} ${d.year}, ${tempType} temperature ${temp.toFixed(1)} degrees Celsius. Press Enter or Space to switch view.`;
+    }
+    
+    if (metricSelect) metricSelect.value = state.metric;
+}
+
+// Base file name for exports, reflecting the current view state
+function getExportFileName() {
+    const state = matrix.getState();
+    const slug = name => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const station = stations.length > 1 ? `-${slug(stationState.station)}` : '';
+    const mode = stationState.layout === 'difference'
+        ? `-minus-${slug(stationState.reference)}`
+        : state.anomaly ? `-anomaly-${state.baselineStart}-${state.baselineEnd}` : '';
+    const daily = state.view === 'calendar' ? '-daily' : '';
+    return `temperature-matrix${station}-${state.startYear}-${state.endYear}${daily}-${state.metric}${mode}-${state.unit.toLowerCase()}`;
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function exportSvg() {
+    if (!matrix) return;
+    const blob = new Blob([matrix.toSVG()], {type: 'image/svg+xml;charset=utf-8'});
+    downloadBlob(blob, `${getExportFileName()}.svg`);
+    announceToScreenReader('Exported matrix as SVG');
+}
+
+function exportPng(scale) {
+    if (!matrix) return;
+    matrix.toPNG(scale).then(blob => {
+        downloadBlob(blob, `${getExportFileName()}@${scale}x.png`);
+        announceToScreenReader(`Exported matrix as PNG at ${scale}x scale`);
+    }).catch(() => {
+        announceToScreenReader('PNG export failed');
     });
+}
+
+function exportCsv() {
+    if (!matrix) return;
+    const blob = new Blob([matrix.toCSV()], {type: 'text/csv;charset=utf-8'});
+    downloadBlob(blob, `${getExportFileName()}.csv`);
+    announceToScreenReader('Exported matrix values as CSV');
+}
+
+function setupExportControls() {
+    const svgButton = document.getElementById('export-svg-btn');
+    const pngButton = document.getElementById('export-png-btn');
+    const csvButton = document.getElementById('export-csv-btn');
+    const scaleSelect = document.getElementById('export-scale-select');
     
-    // Update mini charts
-    cells.each(function(d) {
-        if (!d.data) return;
-        
-        const cellDaily = dailyLookup[d.key] || [];
-        if (cellDaily.length === 0) return;
-        
-        const chartG = d3.select(this).select("g");
-        if (chartG.empty()) return;
-        
-        // Update scales - use combined domain for both max and min
-        const maxTemps = cellDaily.map(d => d.max_temperature);
-        const minTemps = cellDaily.map(d => d.min_temperature);
-        const allTemps = [...maxTemps, ...minTemps];
-        const yScale = d3.scaleLinear()
-            .domain(d3.extent(allTemps))
-            .range([chartHeight, 0]);
-        
-        // Calculate max and min temperatures for color coding
-        const maxTempValue = d3.max(maxTemps);
-        const minTempValue = d3.min(minTemps);
-        
-        // Line generators for both max and min
-        const xScale = d3.scaleLinear()
-            .domain([1, d3.max(cellDaily, d => d.day)])
-            .range([0, chartWidth]);
-        
-        const maxLine = d3.line()
-            .x(d => xScale(d.day))
-            .y(d => yScale(d.max_temperature))
-            .curve(d3.curveMonotoneX);
-        
-        const minLine = d3.line()
-            .x(d => xScale(d.day))
-            .y(d => yScale(d.min_temperature))
-            .curve(d3.curveMonotoneX);
-        
-        // Get base colors from color scale
-        const baseMinColor = colorScale(minTempValue);
-        const baseMaxColor = colorScale(maxTempValue);
-        
-        // Update both lines with adjusted colors for visibility
-        chartG.select(".min-line")
-            .datum(cellDaily)
-            .attr("stroke", getLineColor(baseMinColor, false))
-            .attr("d", minLine);
-        
-        chartG.select(".max-line")
-            .datum(cellDaily)
-            .attr("stroke", getLineColor(baseMaxColor, true))
-            .attr("d", maxLine);
-    });
-    
-    // Update toggle button
-    updateToggleButton();
-}
-
-function createLegend(width) {
-    const legendWidth = 20;
-    const legendHeight = 200;
-    const legendX = width - margin.right + 20;
-    const legendY = margin.top;
-    
-    const legendSvg = svg.append("g")
-        .attr("transform", `translate(${legendX},${legendY})`)
-        .attr("role", "group")
-        .attr("aria-label", `Temperature legend. Range from ${minTemp.toFixed(1)} to ${maxTemp.toFixed(1)} degrees Celsius`);
-    
-    // Legend gradient
-    const defs = svg.append("defs");
-    const gradient = defs.append("linearGradient")
-        .attr("id", "temp-gradient")
-        .attr("x1", "0%")
-        .attr("x2", "0%")
-        .attr("y1", "0%")
-        .attr("y2", "100%");
-    
-    const numStops = 10;
-    for (let i = 0; i <= numStops; i++) {
-        const t = i / numStops;
-        const temp = minTemp + (maxTemp - minTemp) * (1 - t);
-        gradient.append("stop")
-            .attr("offset", `${t * 100}%`)
-            .attr("stop-color", colorScale(temp));
-    }
-    
-    // Legend rectangle
-    legendSvg.append("rect")
-        .attr("width", legendWidth)
-        .attr("height", legendHeight)
-        .style("fill", "url(#temp-gradient)")
-        .style("stroke", "#808080")
-        .style("stroke-width", 1)
-        .attr("aria-hidden", "true");
-    
-    // Legend labels
-    const legendScale = d3.scaleLinear()
-        .domain([minTemp, maxTemp])
-        .range([legendHeight, 0]);
-    
-    const legendAxis = d3.axisRight(legendScale)
-        .ticks(5)
-        .tickFormat(d => d.toFixed(1) + "°C");
-    
-    legendSvg.append("g")
-        .attr("transform", `translate(${legendWidth}, 0)`)
-        .attr("aria-hidden", "true")
-        .call(legendAxis)
-        .style("font-size", "10px")
-        .style("fill", "#e0e0e0");
-    
-    // Legend title
-    legendSvg.append("text")
-        .attr("x", legendWidth / 2)
-        .attr("y", -10)
-        .attr("text-anchor", "middle")
-        .style("font-size", "12px")
-        .style("font-weight", "bold")
-        .style("fill", "#e0e0e0")
-        .attr("aria-hidden", "true")
-        .text("Temperature (°C)");
+    if (svgButton) svgButton.addEventListener('click', exportSvg);
+    if (pngButton) pngButton.addEventListener('click', () => exportPng(scaleSelect ? +scaleSelect.value : 2));
+    if (csvButton) csvButton.addEventListener('click', exportCsv);
+}
+
+// Rows of temperature_daily.csv: inlined in the page by the offline build,
+// otherwise fetched. Resolves to null for a page opened from disk without
+// the data, as browsers will not fetch files for it.
+function loadBundledData() {
+    const inlined = document.getElementById(bundledDataId);
+    if (inlined) return Promise.resolve(d3.csvParse(inlined.textContent.trim()));
+    if (location.protocol === 'file:') return Promise.resolve(null);
+    return d3.csv("temperature_daily.csv");
 }
+
+// Cache the app for offline visits. Service workers need the page to be
+// served over HTTP, so this is skipped for files opened from disk. Without
+// one the app still works, just not offline, so a failure is ignored.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !['http:', 'https:'].includes(location.protocol)) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js').catch(() => {});
+    });
+}
+
+// Load and process data
+loadBundledData().then(function(rows) {
+    if (!rows) {
+        document.getElementById("matrix-container").innerHTML =
+            "<div class='empty-message'><strong>No data loaded</strong><p>Choose a CSV or JSON file with the file picker above, or drop one onto it, to draw the matrix.</p></div>";
+        return;
+    }
+    // Header is line 1, so the first data row is line 2
+    applyDataset(parseRows(rows, defaultColumnMapping, 2), "temperature_daily.csv");
+}).catch(function(error) {
+    console.error("Error loading data:", error);
+    const container = document.getElementById("matrix-container");
+    container.innerHTML = 
+        "<div class='error-message' role='alert'><strong>Error loading data</strong><p>Please ensure temperature_daily.csv is in the same directory and accessible.</p><p>If you're opening this file directly, you need to use a local web server (e.g., <code>python -m http.server 8000</code>), load a CSV or JSON file with the file picker above, or use the offline build (<code>npm run build</code>).</p></div>";
+    announceToScreenReader("Error loading temperature data. Please check the console for details.");
+});
+
+registerServiceWorker();
+
+setupToggleButton();
+setupViewSelect();
+setupRendererSelect();
+setupMetricSelect();
+setupAnomalyControls();
+setupPaletteControls();
+setupScaleControls();
+setupCoverageControls();
+setupComparisonControls();
+setupTrendControls();
+setupTableControls();
+setupDistributionControls();
+setupStationControls();
+setupOrderControls();
+setupEventControls();
+setupUnitToggle();
+setupYearRangeControls();
+setupDataSourceControls();
+setupExportControls();
+setupHistoryNavigation();
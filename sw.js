@@ -0,0 +1,57 @@
+// Service worker: caches the app when it is first served so repeat visits
+// work offline. Cached files are served straight away and refreshed from
+// the network in the background, so an update shows on the next visit.
+//
+// Only same-origin files are cached on install, so a failed fetch from
+// another host cannot stop the install. D3 from the CDN is cached the first
+// time the page loads it.
+//
+// build.js rewrites cacheName, appFiles and cdnFiles for the offline build,
+// which has D3 inlined.
+const cacheName = 'temperature-matrix-v1';
+const appFiles = [
+    'temperature_matrix.html',
+    'styles.css',
+    'script.js',
+    'temperature-matrix.js',
+    'temperature-data.js',
+    'temperature_daily.csv'
+];
+const cdnFiles = ['https://d3js.org/d3.v7.min.js'];
+
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(cacheName).then(cache => cache.addAll(appFiles)));
+    self.skipWaiting();
+});
+
+// Drop the caches of earlier versions
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(names => Promise.all(names.filter(name => name !== cacheName).map(name => caches.delete(name))))
+        .then(() => self.clients.claim()));
+});
+
+// Responses worth keeping: the app's own, and the CDN script, which the page
+// loads without CORS and so comes back opaque
+function isCacheable(request, response) {
+    if (cdnFiles.includes(request.url)) return response.ok || response.type === 'opaque';
+    return response.ok;
+}
+
+self.addEventListener('fetch', event => {
+    if (event.request.method !== 'GET') return;
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin && !cdnFiles.includes(event.request.url)) return;
+    
+    event.respondWith(caches.open(cacheName).then(cache =>
+        cache.match(event.request, {ignoreSearch: true}).then(cached => {
+            const update = fetch(event.request).then(response => {
+                if (isCacheable(event.request, response)) cache.put(event.request, response.clone());
+                return response;
+            });
+            if (!cached) return update;
+            // Keep the refresh alive after answering from the cache
+            event.waitUntil(update.catch(() => {}));
+            return cached;
+        })));
+});
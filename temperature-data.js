@@ -0,0 +1,603 @@
+// Data processing for the temperature matrix: parsing rows, grouping daily
+// records by year-month, extents and per-cell statistics.
+//
+// Everything here is a pure function with no DOM or D3 dependency, so it can
+// be tested in Node (see test/) as well as used in the browser.
+
+// Parse a date value, returning null when it is missing or invalid.
+// Plain YYYY-MM-DD dates are read as local calendar dates: `new Date()` would
+// treat them as UTC (shifting the day west of Greenwich) and roll impossible
+// dates such as 2005-02-29 over into the next month.
+export function parseDate(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const text = String(value).trim();
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text);
+    if (match) {
+        const [year, month, day] = match.slice(1).map(Number);
+        const date = new Date(year, month - 1, day);
+        const isRealDate = date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+        return isRealDate ? date : null;
+    }
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Parse a numeric value strictly, so blanks and stray text become NaN instead of 0
+export function parseNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return NaN;
+    return Number(value);
+}
+
+// Convert raw rows into daily records using a column mapping.
+// Rows that cannot be parsed are collected in `skipped` with their row number.
+// With a `station` column in the mapping (long format, several stations in
+// one file) each record also gets its station name.
+export function parseRows(rows, mapping, firstRowNumber = 2) {
+    const data = [];
+    const skipped = [];
+    
+    rows.forEach((row, i) => {
+        const rowNumber = i + firstRowNumber;
+        const date = parseDate(row[mapping.date]);
+        const max = parseNumber(row[mapping.max]);
+        const min = parseNumber(row[mapping.min]);
+        
+        let reason = null;
+        if (!date) {
+            reason = `invalid date "${row[mapping.date] ?? ''}"`;
+        } else if (!isFinite(max)) {
+            reason = `invalid maximum temperature "${row[mapping.max] ?? ''}"`;
+        } else if (!isFinite(min)) {
+            reason = `invalid minimum temperature "${row[mapping.min] ?? ''}"`;
+        } else if (mapping.station && String(row[mapping.station] ?? '').trim() === '') {
+            reason = 'missing station name';
+        }
+        
+        if (reason) {
+            skipped.push({row: rowNumber, reason});
+            return;
+        }
+        
+        const record = {
+            row: rowNumber,
+            date,
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            max_temperature: max,
+            min_temperature: min
+        };
+        if (mapping.station) record.station = String(row[mapping.station]).trim();
+        data.push(record);
+    });
+    
+    return {data, skipped, total: rows.length};
+}
+
+// Split daily records into one series per station, sorted by name. Records
+// without a station belong to `defaultStation`.
+export function splitStations(data, defaultStation) {
+    const lookup = {};
+    data.forEach(d => {
+        const station = d.station || defaultStation;
+        if (!lookup[station]) lookup[station] = [];
+        lookup[station].push(d);
+    });
+    return Object.keys(lookup)
+        .sort((a, b) => a.localeCompare(b))
+        .map(name => ({name, data: lookup[name]}));
+}
+
+// Physically plausible daily temperatures in Celsius. Values outside this
+// range (world records are about -89°C and 57°C) are treated as data errors.
+export const plausibleRange = {min: -90, max: 60};
+
+// Local calendar date as YYYY-MM-DD
+export function formatDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Number of days in a calendar month (month is 1-12)
+export function daysInMonth(year, month) {
+    return new Date(year, month, 0).getDate();
+}
+
+// Check parsed daily records for data-quality problems. Rows with impossible
+// values or a minimum above the maximum are dropped, as are later rows for a
+// date that was already seen. Gaps between the first and last date are
+// reported as missing ranges. Returns the usable records, the issues found
+// (with the offending values in Celsius, for the page to format) and the
+// first and last dates present.
+export function checkDataQuality(data) {
+    const issues = {impossible: [], minAboveMax: [], duplicates: [], missing: []};
+    const rowByDate = new Map();
+    const clean = [];
+    const isPlausible = value => value >= plausibleRange.min && value <= plausibleRange.max;
+    
+    data.forEach(d => {
+        const date = formatDate(d.date);
+        if (!isPlausible(d.max_temperature) || !isPlausible(d.min_temperature)) {
+            const value = isPlausible(d.max_temperature) ? d.min_temperature : d.max_temperature;
+            issues.impossible.push({row: d.row, date, value});
+        } else if (d.min_temperature > d.max_temperature) {
+            issues.minAboveMax.push({row: d.row, date, min: d.min_temperature, max: d.max_temperature});
+        } else if (rowByDate.has(date)) {
+            issues.duplicates.push({row: d.row, date, duplicateOf: rowByDate.get(date)});
+        } else {
+            rowByDate.set(date, d.row);
+            clean.push(d);
+        }
+    });
+    
+    const dates = [...rowByDate.keys()].sort();
+    const firstDate = dates[0] || null;
+    const lastDate = dates[dates.length - 1] || null;
+    
+    // Walk every calendar day in the covered period, collecting runs of missing days
+    if (firstDate) {
+        const [year, month, day] = firstDate.split('-').map(Number);
+        let gap = null;
+        for (let current = new Date(year, month - 1, day); formatDate(current) <= lastDate;
+            current = new Date(current.getFullYear(), current.getMonth(), current.getDate() + 1)) {
+            const date = formatDate(current);
+            if (rowByDate.has(date)) {
+                gap = null;
+            } else if (gap) {
+                gap.end = date;
+                gap.days++;
+            } else {
+                gap = {start: date, end: date, days: 1};
+                issues.missing.push(gap);
+            }
+        }
+    }
+    
+    return {data: clean, issues, firstDate, lastDate};
+}
+
+// Lookup key for one year-month, e.g. "2004-2"
+export function monthKey(year, month) {
+    return `${year}-${month}`;
+}
+
+// Years present in a list of daily records, ascending
+export function getYears(data) {
+    return [...new Set(data.map(d => d.year))].sort((a, b) => a - b);
+}
+
+// Daily records within an inclusive year range
+export function filterYears(data, startYear, endYear) {
+    return data.filter(d => d.year >= startYear && d.year <= endYear);
+}
+
+// Group daily records by year-month key; each month's days are sorted by day of month
+export function groupByMonth(data) {
+    const lookup = {};
+    data.forEach(d => {
+        const key = monthKey(d.year, d.month);
+        if (!lookup[key]) lookup[key] = [];
+        lookup[key].push(d);
+    });
+    Object.values(lookup).forEach(days => days.sort((a, b) => a.day - b.day));
+    return lookup;
+}
+
+// One aggregate per year-month in a groupByMonth lookup, ordered by year then month.
+// `coverage` is the fraction of the month's calendar days that have a record.
+export function aggregateMonths(monthLookup) {
+    return Object.values(monthLookup)
+        .map(days => {
+            const expectedDays = daysInMonth(days[0].year, days[0].month);
+            return {
+                year: days[0].year,
+                month: days[0].month,
+                ...summarizeMonth(days),
+                expectedDays,
+                coverage: days.length / expectedDays
+            };
+        })
+        .sort((a, b) => a.year - b.year || a.month - b.month);
+}
+
+// Day count, extremes and mean daily max/min for one month of records
+export function summarizeMonth(days) {
+    return {
+        days: days.length,
+        highest: max(days.map(d => d.max_temperature)),
+        lowest: min(days.map(d => d.min_temperature)),
+        max_temp_mean: mean(days.map(d => d.max_temperature)),
+        min_temp_mean: mean(days.map(d => d.min_temperature))
+    };
+}
+
+// Statistics over arrays of numbers. Like d3-array, null, undefined and NaN
+// are ignored and an empty input gives undefined.
+const numeric = values => values.filter(v => v !== null && v !== undefined && !isNaN(v));
+
+// A loop rather than Math.min(...values), which fails on arrays longer than
+// the engine's argument limit (a whole multi-decade dataset, say)
+export function min(values) {
+    return numeric(values).reduce((lowest, v) => lowest === undefined || v < lowest ? v : lowest, undefined);
+}
+
+export function max(values) {
+    return numeric(values).reduce((highest, v) => highest === undefined || v > highest ? v : highest, undefined);
+}
+
+export function extent(values) {
+    return [min(values), max(values)];
+}
+
+export function mean(values) {
+    const valid = numeric(values);
+    if (valid.length === 0) return undefined;
+    return valid.reduce((sum, v) => sum + v, 0) / valid.length;
+}
+
+export function median(values) {
+    const valid = numeric(values).sort((a, b) => a - b);
+    if (valid.length === 0) return undefined;
+    const middle = Math.floor(valid.length / 2);
+    return valid.length % 2 ? valid[middle] : (valid[middle - 1] + valid[middle]) / 2;
+}
+
+// Value at quantile p (0-1) of values already sorted ascending,
+// interpolating between neighbours like d3.quantileSorted
+export function quantileSorted(sorted, p) {
+    if (sorted.length === 0) return undefined;
+    const position = (sorted.length - 1) * p;
+    const below = Math.floor(position);
+    const above = Math.min(below + 1, sorted.length - 1);
+    return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
+}
+
+// Sample standard deviation; undefined with fewer than two values
+export function deviation(values) {
+    const valid = numeric(values);
+    if (valid.length < 2) return undefined;
+    const average = mean(valid);
+    const sumSquares = valid.reduce((sum, v) => sum + (v - average) ** 2, 0);
+    return Math.sqrt(sumSquares / (valid.length - 1));
+}
+
+// Items ordered by a value, highest first. Ties keep their original order,
+// and items without a value follow the rest in their original order.
+export function sortByValue(items, valueOf) {
+    const isMissing = v => v === null || v === undefined || isNaN(v);
+    return items
+        .map((item, index) => ({item, index, value: valueOf(item)}))
+        .sort((a, b) => {
+            if (isMissing(a.value) || isMissing(b.value)) {
+                return (isMissing(a.value) - isMissing(b.value)) || a.index - b.index;
+            }
+            return (b.value - a.value) || a.index - b.index;
+        })
+        .map(d => d.item);
+}
+
+// Daily mean temperature, used by the median and standard deviation statistics
+export const dailyMean = day => (day.max_temperature + day.min_temperature) / 2;
+
+// Per-cell statistics, keyed by metric id. Each takes one month's daily records.
+export const cellStatistics = {
+    mean_max: days => mean(days.map(d => d.max_temperature)),
+    mean_min: days => mean(days.map(d => d.min_temperature)),
+    abs_max: days => max(days.map(d => d.max_temperature)),
+    abs_min: days => min(days.map(d => d.min_temperature)),
+    mean_range: days => mean(days.map(d => d.max_temperature - d.min_temperature)),
+    median: days => median(days.map(dailyMean)),
+    std_dev: days => days.length > 1 ? deviation(days.map(dailyMean)) : 0
+};
+
+// Per-day counterparts of the cell statistics, for the daily calendar view.
+// Each takes one daily record and the records of its month; the spread
+// statistic becomes the day's distance from its month's mean.
+export const dailyStatistics = {
+    mean_max: day => day.max_temperature,
+    mean_min: day => day.min_temperature,
+    abs_max: day => day.max_temperature,
+    abs_min: day => day.min_temperature,
+    mean_range: day => day.max_temperature - day.min_temperature,
+    median: day => dailyMean(day),
+    std_dev: (day, days) => Math.abs(dailyMean(day) - getMonthMean(days))
+};
+
+// Mean of a month's daily means, computed once per month's records however
+// many of its days ask for it
+const monthMeans = new WeakMap();
+function getMonthMean(days) {
+    if (!monthMeans.has(days)) monthMeans.set(days, mean(days.map(dailyMean)));
+    return monthMeans.get(days);
+}
+
+// Mean of a per-cell statistic for each calendar month (1-12) over an
+// inclusive range of years. Months with no data in the range are left out.
+export function computeMonthlyBaseline(monthLookup, statistic, startYear, endYear) {
+    const valuesByMonth = {};
+    Object.values(monthLookup).forEach(days => {
+        if (days[0].year < startYear || days[0].year > endYear) return;
+        const month = days[0].month;
+        if (!valuesByMonth[month]) valuesByMonth[month] = [];
+        valuesByMonth[month].push(statistic(days));
+    });
+    
+    const baseline = {};
+    Object.keys(valuesByMonth).forEach(month => {
+        baseline[month] = mean(valuesByMonth[month]);
+    });
+    return baseline;
+}
+
+// All-years climatology for each calendar month (1-12) present in a
+// groupByMonth lookup: the mean and sample standard deviation, across years,
+// of the month's mean daily maximum and minimum. The deviation is undefined
+// for months seen in only one year.
+export function computeClimatology(monthLookup) {
+    const monthsByNumber = {};
+    aggregateMonths(monthLookup).forEach(m => {
+        if (!monthsByNumber[m.month]) monthsByNumber[m.month] = [];
+        monthsByNumber[m.month].push(m);
+    });
+    
+    return Object.keys(monthsByNumber).map(Number).sort((a, b) => a - b).map(month => {
+        const maxMeans = monthsByNumber[month].map(m => m.max_temp_mean);
+        const minMeans = monthsByNumber[month].map(m => m.min_temp_mean);
+        return {
+            month,
+            years: maxMeans.length,
+            max: {mean: mean(maxMeans), sd: deviation(maxMeans)},
+            min: {mean: mean(minMeans), sd: deviation(minMeans)}
+        };
+    });
+}
+
+// Daily records grouped by calendar month (1-12), whatever their year
+export function groupByCalendarMonth(data) {
+    const byMonth = {};
+    data.forEach(d => {
+        if (!byMonth[d.month]) byMonth[d.month] = [];
+        byMonth[d.month].push(d);
+    });
+    return byMonth;
+}
+
+// Box plot summary of values: quartiles, extremes and Tukey whiskers, which
+// reach the furthest values within 1.5 interquartile ranges of the box.
+// Values beyond them are listed as outliers. Undefined for no values.
+export function summarizeDistribution(values) {
+    const sorted = numeric(values).sort((a, b) => a - b);
+    if (sorted.length === 0) return undefined;
+    
+    const q1 = quantileSorted(sorted, 0.25);
+    const q3 = quantileSorted(sorted, 0.75);
+    const reach = 1.5 * (q3 - q1);
+    const inside = sorted.filter(v => v >= q1 - reach && v <= q3 + reach);
+    return {
+        count: sorted.length,
+        min: sorted[0],
+        q1,
+        median: quantileSorted(sorted, 0.5),
+        q3,
+        max: sorted[sorted.length - 1],
+        lowerWhisker: inside[0],
+        upperWhisker: inside[inside.length - 1],
+        outliers: sorted.filter(v => v < q1 - reach || v > q3 + reach)
+    };
+}
+
+// Kernel bandwidth by Silverman's rule of thumb. Values that do not vary
+// get a bandwidth of 1 so their density is still a visible bump.
+export function silvermanBandwidth(values) {
+    const sorted = numeric(values).sort((a, b) => a - b);
+    const spread = Math.min(deviation(sorted) || 0,
+        (quantileSorted(sorted, 0.75) - quantileSorted(sorted, 0.25)) / 1.34 || Infinity);
+    const bandwidth = 0.9 * spread * sorted.length ** -0.2;
+    return bandwidth > 0 && isFinite(bandwidth) ? bandwidth : 1;
+}
+
+// Gaussian kernel density estimate of values at each of `points`, as
+// [point, density] pairs. The density integrates to 1 over the real line.
+export function kernelDensity(values, points, bandwidth = silvermanBandwidth(values)) {
+    const valid = numeric(values);
+    const scale = 1 / (valid.length * bandwidth * Math.sqrt(2 * Math.PI));
+    return points.map(x => [x, valid.length === 0 ? 0 :
+        scale * valid.reduce((sum, v) => sum + Math.exp(-0.5 * ((x - v) / bandwidth) ** 2), 0)]);
+}
+
+// Least-squares line through [x, y] points. The slope and intercept are
+// undefined with fewer than two distinct x values.
+export function linearRegression(points) {
+    const valid = points.filter(([x, y]) => isFinite(x) && isFinite(y));
+    const meanX = mean(valid.map(p => p[0]));
+    const meanY = mean(valid.map(p => p[1]));
+    let sumXY = 0;
+    let sumXX = 0;
+    valid.forEach(([x, y]) => {
+        sumXY += (x - meanX) * (y - meanY);
+        sumXX += (x - meanX) ** 2;
+    });
+    if (sumXX === 0) return {slope: undefined, intercept: undefined, n: valid.length};
+    const slope = sumXY / sumXX;
+    return {slope, intercept: meanY - slope * meanX, n: valid.length};
+}
+
+// Standard normal cumulative distribution (Abramowitz and Stegun 7.1.26,
+// accurate to about 1e-7)
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Mann-Kendall test for a monotonic trend in values listed in time order.
+// Returns the S statistic, the z score of its normal approximation (with the
+// correction for tied values) and the two-sided p-value. The p-value is
+// undefined with fewer than three values or when every value is tied.
+export function mannKendall(values) {
+    const valid = numeric(values);
+    const n = valid.length;
+    let s = 0;
+    for (let i = 0; i < n - 1; i++) {
+        for (let j = i + 1; j < n; j++) {
+            s += Math.sign(valid[j] - valid[i]);
+        }
+    }
+    
+    const tieCounts = {};
+    valid.forEach(v => {
+        tieCounts[v] = (tieCounts[v] || 0) + 1;
+    });
+    const tieTerm = Object.values(tieCounts).reduce((sum, t) => sum + t * (t - 1) * (2 * t + 5), 0);
+    const variance = (n * (n - 1) * (2 * n + 5) - tieTerm) / 18;
+    if (n < 3 || variance <= 0) return {s, z: undefined, pValue: undefined};
+    
+    // Continuity correction moves S one step towards zero
+    const z = s === 0 ? 0 : (s - Math.sign(s)) / Math.sqrt(variance);
+    return {s, z, pValue: 2 * (1 - normalCdf(Math.abs(z)))};
+}
+
+// Trend of a per-cell statistic over an inclusive range of years, for each
+// calendar month (keyed 1-12) and for the year as a whole. Slopes are in
+// degrees per decade from a least-squares fit; significance comes from the
+// Mann-Kendall test. The annual series is the mean of the twelve monthly
+// values, so years missing a month are left out of it.
+export function computeTrends(monthLookup, statistic, startYear, endYear) {
+    const pointsByMonth = {};
+    const valuesByYear = {};
+    Object.values(monthLookup).forEach(days => {
+        const {year, month} = days[0];
+        if (year < startYear || year > endYear) return;
+        const value = statistic(days);
+        if (value === undefined || value === null || isNaN(value)) return;
+        if (!pointsByMonth[month]) pointsByMonth[month] = [];
+        pointsByMonth[month].push([year, value]);
+        if (!valuesByYear[year]) valuesByYear[year] = [];
+        valuesByYear[year].push(value);
+    });
+    
+    const fit = points => {
+        points.sort((a, b) => a[0] - b[0]);
+        const {slope, n} = linearRegression(points);
+        const {pValue} = mannKendall(points.map(p => p[1]));
+        return {slope: slope === undefined ? undefined : slope * 10, pValue, n};
+    };
+    
+    const monthly = {};
+    Object.keys(pointsByMonth).forEach(month => {
+        monthly[month] = fit(pointsByMonth[month]);
+    });
+    const annualPoints = Object.keys(valuesByYear)
+        .filter(year => valuesByYear[year].length === 12)
+        .map(year => [+year, mean(valuesByYear[year])]);
+    return {monthly, annual: fit(annualPoints)};
+}
+
+// Extreme-event rules. Streak thresholds are in Celsius: hot nights have a
+// minimum at or above the threshold, heatwave days a maximum at or above it
+// and cold-spell days a minimum at or below it, for at least `days` days in a
+// row. `records` is 'all-time' (the dataset's highest maximum and lowest
+// minimum), 'calendar-day' (the record for each day of the year) or 'none'.
+export const defaultEventSettings = {
+    hotNights: {threshold: 28, days: 3},
+    heatwave: {threshold: 33, days: 3},
+    coldSpell: {threshold: 12, days: 3},
+    records: 'all-time'
+};
+export const streakEventTypes = ['hotNights', 'heatwave', 'coldSpell'];
+export const recordModes = ['all-time', 'calendar-day', 'none'];
+
+// Event settings as compact text for the URL, e.g. "28:3,33:3,12:3,all-time":
+// threshold and days for each streak type in streakEventTypes order, then
+// the record mode
+export function formatEventSettings(settings) {
+    return [
+        ...streakEventTypes.map(type => `${settings[type].threshold}:${settings[type].days}`),
+        settings.records
+    ].join(',');
+}
+
+// Event settings from formatEventSettings text, or null when it is malformed
+export function parseEventSettings(text) {
+    const parts = String(text).split(',');
+    const records = parts.pop();
+    if (parts.length !== streakEventTypes.length || !recordModes.includes(records)) return null;
+    
+    const settings = {records};
+    for (const [i, type] of streakEventTypes.entries()) {
+        const fields = parts[i].split(':');
+        const threshold = parseNumber(fields[0]);
+        const days = parseNumber(fields[1]);
+        if (fields.length !== 2 || !isFinite(threshold) || !Number.isInteger(days) || days < 1) return null;
+        settings[type] = {threshold, days};
+    }
+    return settings;
+}
+
+// Runs of at least `minDays` consecutive calendar days passing `test`, from
+// records sorted by date. Each run is an array of records.
+function findStreaks(sorted, test, minDays) {
+    const streaks = [];
+    let run = [];
+    sorted.forEach((d, i) => {
+        const previous = sorted[i - 1];
+        const follows = previous && formatDate(new Date(previous.year, previous.month - 1, previous.day + 1)) === formatDate(d.date);
+        if (!test(d) || !follows) {
+            if (run.length >= minDays) streaks.push(run);
+            run = [];
+        }
+        if (test(d)) run.push(d);
+    });
+    if (run.length >= minDays) streaks.push(run);
+    return streaks;
+}
+
+// Detect extreme events in daily records. Returns events sorted by start date:
+// {type, start, end (YYYY-MM-DD), year, month (of the start), days, value},
+// where `value` is the most extreme temperature in the event. Record ties go
+// to the earliest year.
+export function detectEvents(data, settings = defaultEventSettings) {
+    const sorted = data.slice().sort((a, b) => a.date - b.date);
+    const events = [];
+    const addEvent = (type, days, value) => {
+        events.push({
+            type,
+            start: formatDate(days[0].date),
+            end: formatDate(days[days.length - 1].date),
+            year: days[0].year,
+            month: days[0].month,
+            days: days.length,
+            value
+        });
+    };
+    
+    const streakRules = [
+        ['hotNights', d => d.min_temperature >= settings.hotNights.threshold, days => max(days.map(d => d.min_temperature))],
+        ['heatwave', d => d.max_temperature >= settings.heatwave.threshold, days => max(days.map(d => d.max_temperature))],
+        ['coldSpell', d => d.min_temperature <= settings.coldSpell.threshold, days => min(days.map(d => d.min_temperature))]
+    ];
+    streakRules.forEach(([type, test, peak]) => {
+        findStreaks(sorted, test, Math.max(1, settings[type].days)).forEach(days => addEvent(type, days, peak(days)));
+    });
+    
+    // Group records so each group holds its own record high and low
+    const groups = {};
+    if (settings.records === 'all-time' && sorted.length > 0) {
+        groups.all = sorted;
+    } else if (settings.records === 'calendar-day') {
+        sorted.forEach(d => {
+            const key = `${d.month}-${d.day}`;
+            if (!groups[key]) groups[key] = [];
+            groups[key].push(d);
+        });
+    }
+    Object.values(groups).forEach(days => {
+        const highest = days.reduce((best, d) => d.max_temperature > best.max_temperature ? d : best);
+        const lowest = days.reduce((best, d) => d.min_temperature < best.min_temperature ? d : best);
+        addEvent('recordHigh', [highest], highest.max_temperature);
+        addEvent('recordLow', [lowest], lowest.min_temperature);
+    });
+    
+    return events.sort((a, b) => a.start.localeCompare(b.start) || a.type.localeCompare(b.type));
+}
@@ -0,0 +1,4287 @@
+// Reusable temperature matrix component.
+//
+// createTemperatureMatrix(container, data, options) renders one monthly matrix
+// (cells with mini charts, legend, tooltip and daily detail panel) into a
+// container element and returns an API for changing the view. All state lives
+// inside the instance, so several matrices can share a page.
+
+import {
+    getYears,
+    filterYears,
+    groupByMonth,
+    aggregateMonths,
+    summarizeMonth,
+    extent,
+    formatDate,
+    daysInMonth,
+    cellStatistics,
+    dailyStatistics,
+    mean,
+    computeMonthlyBaseline,
+    computeClimatology,
+    computeTrends,
+    detectEvents,
+    defaultEventSettings,
+    streakEventTypes,
+    recordModes,
+    sortByValue,
+    groupByCalendarMonth,
+    summarizeDistribution,
+    silvermanBandwidth,
+    kernelDensity
+} from './temperature-data.js';
+
+// Layout
+const margin = {top: 80, right: 190, bottom: 60, left: 80};
+// Matrix cells shrink to fit the container, down to minCellWidth; the
+// height follows the width
+const maxCellWidth = 80;
+const minCellWidth = 32;
+const cellAspect = 0.75;
+const cellSpacing = 6; // Spacing between cells
+const chartMargin = 5;
+// Semantic zoom: mini charts hide when a cell is narrower than this on
+// screen, and gain axis ticks and values when it is wider than detailCellWidth
+const minChartCellWidth = 44;
+const detailCellWidth = 150;
+const maxZoom = 8;
+const zoomStep = 1.5;
+// A touch held this long shows the tooltip instead of selecting the cell
+const longPressDuration = 500;
+const longPressSlop = 10;
+// Full-size chart in the month detail panel
+const detailMargin = {top: 20, right: 20, bottom: 40, left: 50};
+const detailWidth = 640;
+const detailHeight = 320;
+// Calendar view: one square per day, weeks as columns and a block of 7 rows per year
+const daySize = 12;
+const daySpacing = 2;
+const yearGap = 18;
+// Column at the right of the matrix listing each month's trend
+const trendColumnWidth = 130;
+// p-value below which a trend is marked as significant
+const significanceLevel = 0.05;
+// Gap between season groups of month rows, and how long reordering animates
+const seasonGap = 14;
+const reorderDuration = 600;
+// Sonification: pitch range in Hz for the dataset's lowest to highest
+// temperature (two octaves), seconds per day, and the pause between the
+// maximum and minimum curves in days
+const sonificationPitch = [220, 880];
+const sonificationNoteDuration = 0.12;
+const sonificationPause = 4;
+const sonificationVolume = 0.2;
+// Distribution panel: room it takes beside the matrix, points along each
+// density curve, height of a ridgeline row, and how many rows the highest
+// ridge may rise through
+const distributionPanelWidth = 400;
+const densityPoints = 60;
+const ridgeRowHeight = 24;
+const ridgeOverlap = 2.5;
+// Line colors for the years in the year-over-year comparison, assigned in year order
+const comparisonColors = ['#4a9eff', '#ff7b6b', '#7ee081', '#ffd166', '#c792ea', '#4dd0e1', '#ff9f43', '#f78fb3'];
+
+export const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+export const months = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// Color palettes for the matrix. `highFirst` means the interpolator puts high
+// values at t = 0 (e.g. red end of RdYlBu), so the scale is flipped for it.
+export const palettes = {
+    rdylbu: {label: 'Red–Yellow–Blue (diverging)', interpolator: d3.interpolateRdYlBu, highFirst: true},
+    rdbu: {label: 'Red–Blue (diverging)', interpolator: d3.interpolateRdBu, highFirst: true},
+    viridis: {label: 'Viridis (colorblind-safe)', interpolator: d3.interpolateViridis, highFirst: false},
+    cividis: {label: 'Cividis (colorblind-safe)', interpolator: d3.interpolateCividis, highFirst: false},
+    greys: {label: 'Grayscale (print)', interpolator: d3.interpolateGreys, highFirst: false}
+};
+export const defaultPalette = 'rdylbu';
+
+// Display units. Data is always stored in Celsius and only converted for display,
+// so the color mapping is the same in either unit.
+export const units = {
+    C: {symbol: '°C', name: 'degrees Celsius', label: 'Celsius'},
+    F: {symbol: '°F', name: 'degrees Fahrenheit', label: 'Fahrenheit'}
+};
+
+// Aggregation metrics available for cell color. `pair` is the metric the
+// max/min toggle switches to; `isMax` marks the "maximum" side of the toggle.
+// Metrics with no maximum/minimum counterpart have no pair.
+// `daily` is the per-day value shown for the metric in the calendar view.
+export const metrics = {
+    mean_max: {
+        label: 'Mean Maximum', description: 'mean daily maximum temperature', icon: '🌡️',
+        pair: 'mean_min', isMax: true,
+        compute: cellStatistics.mean_max,
+        dailyLabel: 'Daily Maximum', daily: dailyStatistics.mean_max
+    },
+    mean_min: {
+        label: 'Mean Minimum', description: 'mean daily minimum temperature', icon: '❄️',
+        pair: 'mean_max', isMax: false,
+        compute: cellStatistics.mean_min,
+        dailyLabel: 'Daily Minimum', daily: dailyStatistics.mean_min
+    },
+    abs_max: {
+        label: 'Maximum Temperature', description: 'maximum temperature', icon: '🌡️',
+        pair: 'abs_min', isMax: true,
+        compute: cellStatistics.abs_max,
+        dailyLabel: 'Daily Maximum', daily: dailyStatistics.abs_max
+    },
+    abs_min: {
+        label: 'Minimum Temperature', description: 'minimum temperature', icon: '❄️',
+        pair: 'abs_max', isMax: false,
+        compute: cellStatistics.abs_min,
+        dailyLabel: 'Daily Minimum', daily: dailyStatistics.abs_min
+    },
+    mean_range: {
+        label: 'Mean Diurnal Range', description: 'mean diurnal temperature range', icon: '↕️',
+        isDifference: true,
+        compute: cellStatistics.mean_range,
+        dailyLabel: 'Diurnal Range', daily: dailyStatistics.mean_range
+    },
+    median: {
+        label: 'Median Daily Mean', description: 'median daily mean temperature', icon: '📏',
+        compute: cellStatistics.median,
+        dailyLabel: 'Daily Mean', daily: dailyStatistics.median
+    },
+    std_dev: {
+        label: 'Std. Dev. of Daily Mean', description: 'standard deviation of daily mean temperature', icon: '〰️',
+        isDifference: true,
+        compute: cellStatistics.std_dev,
+        dailyLabel: 'Distance from Month Mean', daily: dailyStatistics.std_dev
+    }
+};
+
+// Ways of drawing the data: one cell per month, or one square per day
+export const views = {
+    matrix: {label: 'Monthly matrix'},
+    calendar: {label: 'Daily calendar'}
+};
+
+// How the matrix cells and mini charts are drawn. Canvas redraws faster for
+// long year ranges; the calendar view is always SVG.
+export const renderers = {
+    svg: {label: 'SVG'},
+    canvas: {label: 'Canvas (faster for long ranges)'}
+};
+
+// Charts of each calendar month's daily values in the distribution panel,
+// with how to read their marks
+export const distributionCharts = {
+    none: {label: 'None', note: ''},
+    box: {
+        label: 'Box plots',
+        note: 'Boxes span the middle half of the days, with a line at the median. Whiskers reach the furthest days within 1.5 box lengths; dots are days beyond them.'
+    },
+    violin: {
+        label: 'Violin plots',
+        note: 'Shapes are widest where days are most common; the dot marks the median and the bar the middle half of the days.'
+    }
+};
+
+// Daily values summarised in the distribution panel
+const distributionFields = [
+    {key: 'max', field: 'max_temperature', label: 'Daily maximum'},
+    {key: 'min', field: 'min_temperature', label: 'Daily minimum'}
+];
+
+// Orders for the matrix year columns and month rows. Value orders use the
+// values shown in the cells and put the highest first.
+export const yearOrders = {
+    chronological: {label: 'Chronological'},
+    annual: {label: 'Annual mean, highest first'},
+    month: {label: "One month's value, highest first"}
+};
+export const monthOrders = {
+    calendar: {label: 'Calendar'},
+    seasonal: {label: 'Mean over the years, highest first'}
+};
+
+// Meteorological seasons for grouping month rows
+export const seasons = [
+    {id: 'DJF', label: 'Winter', months: [12, 1, 2]},
+    {id: 'MAM', label: 'Spring', months: [3, 4, 5]},
+    {id: 'JJA', label: 'Summer', months: [6, 7, 8]},
+    {id: 'SON', label: 'Autumn', months: [9, 10, 11]}
+];
+
+// Extreme-event types: list label, the daily value their markers sit on in the
+// mini charts, and marker color
+export const eventTypes = {
+    heatwave: {label: 'Heatwave', field: 'max_temperature', color: '#ff3b30'},
+    hotNights: {label: 'Hot nights', field: 'min_temperature', color: '#ff9f43'},
+    coldSpell: {label: 'Cold spell', field: 'min_temperature', color: '#4dd0e1'},
+    recordHigh: {label: 'Record high', field: 'max_temperature', color: '#ffd166'},
+    recordLow: {label: 'Record low', field: 'min_temperature', color: '#c792ea'}
+};
+
+// SVG presentation properties copied inline so exported files render without styles.css
+const exportStyleProperties = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor', 'dominant-baseline'
+];
+const exportBackground = '#2a2a2a';
+
+// Helper function to adjust color brightness for better visibility
+function adjustColorBrightness(color, factor) {
+    const rgb = d3.rgb(color);
+    
+    // Adjust brightness (factor > 1 = lighter, < 1 = darker)
+    const newR = Math.min(255, Math.max(0, Math.round(rgb.r * factor)));
+    const newG = Math.min(255, Math.max(0, Math.round(rgb.g * factor)));
+    const newB = Math.min(255, Math.max(0, Math.round(rgb.b * factor)));
+    
+    return `rgb(${newR}, ${newG}, ${newB})`;
+}
+
+// Relative luminance (WCAG 2.x definition) of any CSS color
+function getLuminance(color) {
+    const rgb = d3.rgb(color);
+    const channel = c => {
+        const v = c / 255;
+        return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(rgb.r) + 0.7152 * channel(rgb.g) + 0.0722 * channel(rgb.b);
+}
+
+// Helper function to get a more visible version of the cell color for lines.
+// Light backgrounds get darker lines; dark ones (e.g. the low end of viridis) get lighter lines.
+function getLineColor(baseColor, isMax) {
+    if (!d3.color(baseColor)) {
+        // Fallback to darker colors
+        return isMax ? '#1a4a7a' : '#2a6a8a';
+    }
+    
+    if (getLuminance(baseColor) > 0.2) {
+        // For max line: darker (factor 0.35) - more contrast
+        // For min line: darker (factor 0.45) - slightly lighter than max for distinction
+        return adjustColorBrightness(baseColor, isMax ? 0.35 : 0.45);
+    }
+    
+    // Blend towards white; max line slightly brighter than min for distinction
+    return d3.interpolateRgb(baseColor, '#ffffff')(isMax ? 0.75 : 0.6);
+}
+
+// Screen reader announcements, all through one live region that stays in the
+// page (the page's #sr-announcer, or one added on first use). Screen readers
+// can miss text put into a live region added at the same moment.
+let liveRegion = null;
+let announcementTimer = null;
+export function announceToScreenReader(message) {
+    if (!liveRegion || !liveRegion.isConnected) {
+        liveRegion = document.getElementById('sr-announcer');
+        if (!liveRegion) {
+            liveRegion = document.createElement('div');
+            liveRegion.id = 'sr-announcer';
+            liveRegion.setAttribute('role', 'status');
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('aria-atomic', 'true');
+            liveRegion.className = 'sr-only';
+            document.body.appendChild(liveRegion);
+        }
+    }
+    // Empty the region first so a repeated message is read again
+    clearTimeout(announcementTimer);
+    liveRegion.textContent = '';
+    announcementTimer = setTimeout(() => {
+        liveRegion.textContent = message;
+    }, 50);
+}
+
+// Signed anomaly text for a value already in display units, e.g. "+1.2"; zero is shown unsigned
+export function formatAnomaly(value) {
+    return value === 0 ? "0.0" : d3.format("+.1f")(value);
+}
+
+// Parse comma- or space-separated bin edges; returns null for "automatic"
+export function parseBinEdges(text) {
+    const parts = text.split(/[\s,;]+/).filter(part => part !== '');
+    if (parts.length === 0) return null;
+    const edges = parts.map(Number);
+    if (edges.some(edge => !isFinite(edge))) {
+        throw new Error(`Bin edges must be numbers, got "${text}".`);
+    }
+    return [...new Set(edges)].sort((a, b) => a - b);
+}
+
+// Used to give each instance unique element IDs
+let instanceCount = 0;
+
+// Default view for a set of years: the last 10 years shown, and the years
+// before them (or everything, if there are none) as the anomaly baseline
+export function getDefaultViewState(years) {
+    const first = years[0];
+    const last = years[years.length - 1];
+    const start = years[Math.max(0, years.length - 10)];
+    return {
+        metric: 'abs_max',
+        startYear: start,
+        endYear: last,
+        anomaly: false,
+        baselineStart: first,
+        baselineEnd: start > first ? start - 1 : last,
+        palette: defaultPalette,
+        reversePalette: false,
+        unit: 'C',
+        binned: false,
+        binEdges: null,
+        excludeIncomplete: false,
+        view: 'matrix',
+        comparisonYears: [],
+        trends: false,
+        events: false,
+        yearOrder: 'chronological',
+        orderMonth: 7,
+        monthOrder: 'calendar',
+        groupSeasons: false,
+        renderer: 'svg',
+        table: false,
+        distribution: 'none',
+        ridgeline: false
+    };
+}
+
+// Create a temperature matrix inside `container` (an element or selector).
+// `data` is an array of daily records: {date, year, month, day, max_temperature, min_temperature}.
+// Options: title, detailPanel (default true), announce (screen reader callback),
+// initialState (any fields of getState()).
+export function createTemperatureMatrix(container, data, options = {}) {
+    const containerEl = typeof container === 'string' ? document.querySelector(container) : container;
+    if (!containerEl) throw new Error('createTemperatureMatrix: container element not found');
+    
+    options = {
+        title: 'Monthly Temperature Matrix',
+        detailPanel: true,
+        announce: announceToScreenReader,
+        initialState: {},
+        ...options
+    };
+    let title = options.title;
+    const announce = options.announce;
+    const instanceId = ++instanceCount;
+    const gradientId = `temperature-matrix-${instanceId}-gradient`;
+    const hatchId = `temperature-matrix-${instanceId}-hatch`;
+    const clipId = `temperature-matrix-${instanceId}-clip`;
+    
+    // View state
+    let currentView = 'matrix';
+    let currentMetric = 'abs_max';
+    // Unit used for displayed values ('C' or 'F')
+    let currentUnit = 'C';
+    // Binned (threshold) color scale instead of the continuous one
+    let binnedScale = false;
+    // User-defined interior bin edges in Celsius, or null for automatic "nice" edges
+    let customBinEdges = null;
+    let binEdges = [];
+    // Active palette and whether its direction is reversed
+    let currentPalette = defaultPalette;
+    let reversePalette = false;
+    // Anomaly mode colors cells by their difference from a per-calendar-month baseline
+    let anomalyMode = false;
+    let baselineStart, baselineEnd;
+    let baselineLookup = {};
+    // Difference mode: another station's records by month key and by date,
+    // subtracted from this matrix's values (and taking over from anomaly mode)
+    let reference = null;
+    // Color domain in Celsius shared with other matrices drawn side by side,
+    // or null to fit the domain to this matrix's values
+    let colorDomain = null;
+    let startYear, endYear;
+    // Leave months with missing days out of the color domain
+    let excludeIncomplete = false;
+    // Years overlaid in the comparison chart and highlighted in the matrix, ascending
+    let comparisonYears = [];
+    // Per-month and annual trends of the current metric over the selected years,
+    // shown in a column beside the matrix
+    let showTrends = false;
+    let trends = {monthly: {}, annual: {}};
+    // Extreme events marked in the mini charts and listed below the matrix.
+    // Settings hold thresholds in Celsius; `eventDays` maps each date to its events.
+    let showEvents = false;
+    let eventSettings = defaultEventSettings;
+    let events = [];
+    let eventDays = {};
+    // Table of the matrix values shown below it for screen reader and keyboard
+    // users, and the month holding its single tab stop
+    let showTable = false;
+    let tableFocusKey = null;
+    // Distribution panel chart, whether it adds a ridgeline, and the
+    // calendar month highlighted in it and in the month labels
+    let distributionChart = 'none';
+    let showRidgeline = false;
+    let highlightedMonth = null;
+    // Web Audio context for sonification, created on first play, and the
+    // month playing with its oscillators
+    let audioContext = null;
+    let sonification = null;
+    // Matrix cells picked by brushing, shift-click or shift-arrow, and the cell
+    // that shift-arrow selection extends from
+    let selectedKeys = new Set();
+    let selectionAnchor = null;
+    // Matrix ordering, and the column and row positions it gives
+    let yearOrder = 'chronological';
+    let orderMonth = 7;
+    let monthOrder = 'calendar';
+    let groupSeasons = false;
+    let matrixLayout = null;
+    // Matrix cell and mini chart size for the current container width
+    let cellWidth = maxCellWidth;
+    let cellHeight = maxCellWidth * cellAspect;
+    let chartWidth = cellWidth - 4 * chartMargin;
+    let chartHeight = cellHeight - 4 * chartMargin;
+    // Pan and zoom of the matrix grid
+    let zoomBehavior = null;
+    let zoomTransform = d3.zoomIdentity;
+    // Canvas renderer: the canvas selection while it draws the matrix, and
+    // the cell under the mouse, which it outlines
+    let renderer = 'svg';
+    let matrixCanvas = null;
+    let hoveredKey = null;
+    // Per-cell metric values and mini chart scales, computed once per year
+    // range (and cell size) instead of on every redraw
+    let metricValueCache = {};
+    let miniChartCache = {};
+    // Each calendar month's daily distributions and densities for the
+    // distribution panel, computed once per year range
+    let distributionCache = null;
+    
+    // Data
+    let allData = [];
+    let availableYears = [];
+    let monthlyData = [];
+    let dailyData = [];
+    let monthlyLookup = {};
+    let dailyLookup = {};
+    // Daily records in the selected range by date (YYYY-MM-DD)
+    let dayLookup = {};
+    // Daily records for every year-month in the dataset, regardless of the selected range
+    let fullDailyLookup = {};
+    // Monthly aggregates for the whole dataset by year-month, and the all-years
+    // mean and spread of each calendar month, for the year comparison
+    let fullMonthlyLookup = {};
+    let climatology = [];
+    // First and last dates in the dataset (YYYY-MM-DD), to explain empty cells
+    let firstDate = null;
+    let lastDate = null;
+    
+    // Rendering
+    let colorScale;
+    let minTemp, maxTemp;
+    let cells, svg, g;
+    let cellElements = [];
+    let detailPanel = null;
+    // Cell that opened the detail panel, so focus can return to it on close
+    let detailTriggerCell = null;
+    let detailCellKey = null;
+    let focusedCellKey = null;
+    const listeners = {};
+    
+    // Tooltip owned by this instance
+    const tooltip = d3.select(document.body)
+        .append("div")
+        .attr("class", "tooltip")
+        .attr("role", "tooltip")
+        .attr("aria-hidden", "true");
+    
+    // Subscribe to an event; returns a function that unsubscribes.
+    // Events: render, change, hover, focus, cellselect, selectionchange, eventselect,
+    // detailopen, detailclose.
+    function on(event, handler) {
+        if (!listeners[event]) listeners[event] = new Set();
+        listeners[event].add(handler);
+        return () => listeners[event].delete(handler);
+    }
+    
+    function emit(event, payload) {
+        (listeners[event] || []).forEach(handler => handler(payload));
+    }
+    
+    // Public description of a cell (or calendar day, which also has `day`) passed to event handlers
+    function getCellInfo(d) {
+        return {key: d.key, year: d.year, month: d.month, day: d.day, value: getCellValue(d)};
+    }
+    
+    // Calendar days open the detail chart for their month
+    function selectCell(d, node) {
+        emit('cellselect', getCellInfo(d));
+        openDetailPanel(d.date ? monthItem(d.year, d.month) : d, node);
+    }
+    
+    // Matrix cell datum for a month, for views that have no month cells
+    function monthItem(year, month) {
+        return {key: `${year}-${month}`, year, month, data: monthlyLookup[`${year}-${month}`] || null};
+    }
+    
+    function getState() {
+        return {
+            metric: currentMetric,
+            startYear,
+            endYear,
+            anomaly: anomalyMode,
+            baselineStart,
+            baselineEnd,
+            palette: currentPalette,
+            reversePalette,
+            unit: currentUnit,
+            binned: binnedScale,
+            // Bin edges are reported in the display unit, like everything else shown
+            binEdges: customBinEdges && customBinEdges
+                .map(edge => +toDisplayUnit(edge, cellValuesAreDifferences()).toFixed(2)),
+            excludeIncomplete,
+            view: currentView,
+            comparisonYears: comparisonYears.slice(),
+            trends: showTrends,
+            events: showEvents,
+            yearOrder,
+            orderMonth,
+            monthOrder,
+            groupSeasons,
+            renderer,
+            table: showTable,
+            distribution: distributionChart,
+            ridgeline: showRidgeline,
+            // Event thresholds are reported in the display unit
+            eventSettings: convertEventSettings(eventSettings, value => +toDisplayUnit(value).toFixed(2))
+        };
+    }
+    
+    // Copy valid fields of `state` into the instance without redrawing.
+    // Returns true when the view or year range changed and everything must be redrawn.
+    function applyState(state) {
+        const first = availableYears[0];
+        const last = availableYears[availableYears.length - 1];
+        const isSpan = (start, end) => Number.isInteger(start) && Number.isInteger(end) &&
+            start >= first && end <= last && start <= end;
+        
+        let needsRender = false;
+        if (views[state.view] && state.view !== currentView) {
+            currentView = state.view;
+            needsRender = true;
+        }
+        // The trend column changes the matrix width
+        if (state.trends !== undefined && !!state.trends !== showTrends) {
+            showTrends = !!state.trends;
+            needsRender = true;
+        }
+        if (state.events !== undefined && !!state.events !== showEvents) {
+            showEvents = !!state.events;
+            needsRender = true;
+        }
+        if (renderers[state.renderer] && state.renderer !== renderer) {
+            renderer = state.renderer;
+            needsRender = currentView === 'matrix' || needsRender;
+        }
+        if (state.table !== undefined) showTable = !!state.table;
+        // The distribution panel takes room from the matrix beside it
+        const hadDistributionPanel = hasDistributionPanel();
+        if (distributionCharts[state.distribution]) distributionChart = state.distribution;
+        if (state.ridgeline !== undefined) showRidgeline = !!state.ridgeline;
+        if (hasDistributionPanel() !== hadDistributionPanel) needsRender = true;
+        if (metrics[state.metric]) currentMetric = state.metric;
+        if (units[state.unit]) currentUnit = state.unit;
+        if (palettes[state.palette]) currentPalette = state.palette;
+        if (state.reversePalette !== undefined) reversePalette = !!state.reversePalette;
+        if (state.anomaly !== undefined) anomalyMode = !!state.anomaly;
+        if (state.binned !== undefined) binnedScale = !!state.binned;
+        if (state.excludeIncomplete !== undefined) excludeIncomplete = !!state.excludeIncomplete;
+        // Reordering moves the drawn cells rather than redrawing them
+        if (yearOrders[state.yearOrder]) yearOrder = state.yearOrder;
+        if (months.includes(state.orderMonth)) orderMonth = state.orderMonth;
+        if (monthOrders[state.monthOrder]) monthOrder = state.monthOrder;
+        if (state.groupSeasons !== undefined) groupSeasons = !!state.groupSeasons;
+        if (Array.isArray(state.comparisonYears)) {
+            comparisonYears = [...new Set(state.comparisonYears)]
+                .filter(year => availableYears.includes(year))
+                .sort((a, b) => a - b);
+        }
+        if (isSpan(state.baselineStart, state.baselineEnd)) {
+            baselineStart = state.baselineStart;
+            baselineEnd = state.baselineEnd;
+        }
+        // Edges arrive in the display unit, so convert after unit and metric are set
+        if (state.binEdges !== undefined) {
+            customBinEdges = state.binEdges && state.binEdges
+                .map(edge => fromDisplayUnit(edge, cellValuesAreDifferences()));
+        }
+        
+        // Thresholds arrive in the display unit too
+        if (isValidEventSettings(state.eventSettings)) {
+            // Finer than the 2 decimals shown, so thresholds typed in °F come back unchanged
+            const settings = convertEventSettings(state.eventSettings, value => +fromDisplayUnit(value).toFixed(4));
+            if (JSON.stringify(settings) !== JSON.stringify(eventSettings)) {
+                eventSettings = settings;
+                updateEvents();
+                needsRender = true;
+            }
+        }
+        
+        if (isSpan(state.startYear, state.endYear) &&
+            (state.startYear !== startYear || state.endYear !== endYear)) {
+            startYear = state.startYear;
+            endYear = state.endYear;
+            needsRender = true;
+        }
+        return needsRender;
+    }
+    
+    // Apply several view settings with a single redraw. Invalid values are ignored.
+    function setState(state) {
+        if (applyState(state)) {
+            processData();
+            render();
+        } else {
+            updateColorScale();
+            updateVisualization();
+        }
+        emit('change', getState());
+    }
+    
+    // Replace the dataset. The view resets to the defaults for the new years,
+    // with any fields in `state` applied on top.
+    function setData(newData, state = {}) {
+        allData = newData;
+        availableYears = getYears(allData);
+        fullDailyLookup = groupByMonth(allData);
+        fullMonthlyLookup = {};
+        aggregateMonths(fullDailyLookup).forEach(d => {
+            fullMonthlyLookup[`${d.year}-${d.month}`] = d;
+        });
+        climatology = computeClimatology(fullDailyLookup);
+        updateEvents();
+        const dates = allData.map(d => formatDate(d.date)).sort();
+        firstDate = dates[0] || null;
+        lastDate = dates[dates.length - 1] || null;
+        
+        startYear = undefined;
+        // Applied separately so fields invalid for the new years (such as
+        // another station's year range) keep their defaults
+        applyState(getDefaultViewState(availableYears));
+        applyState(state);
+        processData();
+        render();
+        emit('change', getState());
+    }
+    
+    function setMetric(metric) {
+        if (!metrics[metric]) return;
+        setState({metric});
+        announce(`Switched to ${metrics[currentMetric].label.toLowerCase()} view`);
+    }
+    
+    // Flip between the maximum and minimum variant of the current metric,
+    // if it has one
+    function toggleMaxMin() {
+        if (!metrics[currentMetric].pair) return;
+        setMetric(metrics[currentMetric].pair);
+    }
+    
+    // Rebuild data and matrix for a new year range
+    function setRange(start, end) {
+        setState({startYear: start, endYear: end});
+        announce(`Showing years ${startYear} to ${endYear}`);
+    }
+    
+    function setAnomaly(enabled) {
+        setState({anomaly: enabled});
+        announce(anomalyMode
+            ? `Showing anomalies relative to the ${getBaselineLabel()} baseline`
+            : `Showing ${metrics[currentMetric].label.toLowerCase()} values`);
+    }
+    
+    function setBaseline(start, end) {
+        setState({baselineStart: start, baselineEnd: end});
+        announce(`Baseline period set to ${getBaselineLabel()}`);
+    }
+    
+    function setPalette(palette, reverse = reversePalette) {
+        setState({palette, reversePalette: reverse});
+        announce(`Color scheme set to ${palettes[currentPalette].label}${reversePalette ? ', reversed' : ''}`);
+    }
+    
+    // Switch display unit; colors stay the same because data remains in Celsius
+    function setUnit(unit) {
+        setState({unit});
+        announce(`Temperatures now shown in ${units[currentUnit].label}`);
+    }
+    
+    // Turn the binned scale on or off. `edges` are in the display unit;
+    // null means automatic edges and undefined keeps the current ones.
+    function setBinning(enabled, edges) {
+        setState({binned: enabled, binEdges: edges});
+        announce(binnedScale ? 'Switched to binned color scale' : 'Switched to continuous color scale');
+    }
+    
+    // Switch between the monthly matrix and the daily calendar, keeping range and metric
+    function setView(view) {
+        if (!views[view]) return;
+        setState({view});
+        announce(`Switched to ${views[currentView].label.toLowerCase()} view`);
+    }
+    
+    function setExcludeIncomplete(enabled) {
+        setState({excludeIncomplete: enabled});
+        announce(excludeIncomplete
+            ? 'Incomplete months excluded from the color scale'
+            : 'All months included in the color scale');
+    }
+    
+    // Show or hide the per-month trend column
+    function setTrends(enabled) {
+        setState({trends: enabled});
+        announce(showTrends
+            ? `Monthly trends shown. ${getTrendText(trends.annual, 'Annual')}`
+            : 'Monthly trends hidden');
+    }
+    
+    // Order the year columns: 'chronological', 'annual', or 'month' (by the
+    // value of `month`, 1-12)
+    function setYearOrder(order, month = orderMonth) {
+        setState({yearOrder: order, orderMonth: month});
+        announce(`Years ordered ${describeYearOrder()}`);
+    }
+    
+    function setMonthOrder(order) {
+        setState({monthOrder: order});
+        announce(`Months ordered ${describeMonthOrder()}`);
+    }
+    
+    function setSeasonGrouping(enabled) {
+        setState({groupSeasons: enabled});
+        announce(groupSeasons ? 'Months grouped by season' : 'Season grouping removed');
+    }
+    
+    function setRenderer(name) {
+        setState({renderer: name});
+        announce(`Matrix drawn with ${renderers[renderer].label}`);
+    }
+    
+    // Show or hide the data table below the matrix
+    function setTable(enabled) {
+        setState({table: enabled});
+        announce(showTable
+            ? 'Data table shown below the matrix. Use the arrow keys to move between months.'
+            : 'Data table hidden');
+    }
+    
+    // Box or violin plots of each calendar month's daily values, or 'none'
+    function setDistribution(chart) {
+        setState({distribution: chart});
+        announce(distributionChart === 'none'
+            ? 'Monthly distribution charts hidden'
+            : `${distributionCharts[distributionChart].label} of daily temperatures by month shown beside the matrix`);
+    }
+    
+    function setRidgeline(enabled) {
+        setState({ridgeline: enabled});
+        announce(showRidgeline ? 'Ridgeline of daily temperatures by month shown beside the matrix' : 'Ridgeline hidden');
+    }
+    
+    // Color cells by this matrix's values minus those of another station
+    // (daily records like `data`), or pass null to go back to plain values
+    function setReference(data, name) {
+        if (data) {
+            const lookup = groupByMonth(data);
+            const dayLookup = {};
+            data.forEach(d => {
+                dayLookup[formatDate(d.date)] = d;
+            });
+            reference = {name, dailyLookup: lookup, dayLookup};
+        } else {
+            reference = null;
+        }
+        metricValueCache = {};
+        setState({});
+        announce(reference ? `Showing differences from ${reference.name}` : 'Difference mode off');
+    }
+    
+    // Share a color domain (Celsius, in the metric's own terms) with other
+    // matrices, or pass null to fit it to this matrix again
+    function setColorDomain(domain) {
+        colorDomain = domain ? domain.slice() : null;
+        updateColorScale();
+        updateVisualization();
+    }
+    
+    // Extent of the values this matrix colors, for building a shared domain
+    function getValueExtent() {
+        return extent(getColorValues());
+    }
+    
+    function setTitle(text) {
+        title = text;
+        if (svg) svg.select(".matrix-title").text(`${title} (${startYear}-${endYear})`);
+    }
+    
+    function setEvents(enabled) {
+        setState({events: enabled});
+        announce(showEvents
+            ? `Extreme events shown: ${getEventsInRange().length} in ${startYear} to ${endYear}`
+            : 'Extreme events hidden');
+    }
+    
+    // Change the event rules; thresholds are in the display unit
+    function setEventSettings(settings) {
+        setState({eventSettings: settings});
+        if (showEvents) announce(`Event thresholds updated: ${getEventsInRange().length} events in ${startYear} to ${endYear}`);
+    }
+    
+    // Years to overlay in the comparison chart; years not in the data are ignored
+    function setComparisonYears(years) {
+        setState({comparisonYears: years});
+        announce(comparisonYears.length
+            ? `Comparing ${comparisonYears.join(', ')} against the all-years mean`
+            : 'Year comparison cleared');
+    }
+    
+    function toggleComparisonYear(year) {
+        setComparisonYears(comparisonYears.includes(year)
+            ? comparisonYears.filter(y => y !== year)
+            : [...comparisonYears, year]);
+    }
+    
+    function findCell(key) {
+        return cells ? cells.filter(d => d.key === key) : d3.select(null);
+    }
+    
+    function focusCell(key) {
+        const cell = findCell(key);
+        if (!cell.empty()) cell.node().focus();
+    }
+    
+    // Open the detail chart for a month key ("2004-2"). In the calendar view
+    // focus returns to the month's first day when the panel closes.
+    function openDetail(key) {
+        const [year, month] = key.split('-').map(Number);
+        const cell = currentView === 'calendar' ? findCell(formatDate(new Date(year, month - 1, 1))) : findCell(key);
+        if (!cell.empty()) openDetailPanel(monthItem(year, month), cell.node());
+    }
+    
+    // Build this instance's detail dialog; it is appended to <body> so it can cover the page
+    function createDetailPanel() {
+        const titleId = `temperature-matrix-${instanceId}-detail-title`;
+        const summaryId = `temperature-matrix-${instanceId}-detail-summary`;
+        
+        detailPanel = d3.select(document.body)
+            .append("div")
+            .attr("class", "detail-backdrop")
+            .property("hidden", true);
+        
+        const dialog = detailPanel.append("div")
+            .attr("class", "detail-dialog")
+            .attr("role", "dialog")
+            .attr("aria-modal", "true")
+            .attr("aria-labelledby", titleId)
+            .attr("aria-describedby", summaryId);
+        
+        const header = dialog.append("div")
+            .attr("class", "detail-header");
+        header.append("h2")
+            .attr("id", titleId)
+            .attr("class", "detail-title");
+        header.append("button")
+            .attr("class", "secondary-button detail-sound")
+            .attr("aria-label", "Play or stop the daily temperatures as sound")
+            .text("♪ Play")
+            .on("click", () => toggleSonification(monthItem(...detailCellKey.split('-').map(Number))));
+        header.append("button")
+            .attr("class", "secondary-button detail-close")
+            .attr("aria-label", "Close daily detail chart")
+            .text("✕")
+            .on("click", closeDetailPanel);
+        
+        dialog.append("p")
+            .attr("id", summaryId)
+            .attr("class", "detail-summary");
+        
+        const legend = dialog.append("div")
+            .attr("class", "detail-legend")
+            .attr("aria-hidden", "true");
+        [["max", "Daily maximum"], ["min", "Daily minimum"], ["other", "Same month, other years"]].forEach(([type, text]) => {
+            legend.append("span").attr("class", `legend-swatch ${type}`);
+            legend.append("span").text(text);
+        });
+        
+        dialog.append("div")
+            .attr("class", "detail-chart");
+        dialog.append("div")
+            .attr("class", "detail-readout")
+            .attr("aria-live", "polite");
+        
+        // Clicking the backdrop outside the dialog closes it
+        detailPanel.on("click", function(event) {
+            if (event.target === this) closeDetailPanel();
+        });
+        
+        detailPanel.on("keydown", function(event) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                closeDetailPanel();
+            } else if (event.key === 'Tab') {
+                // Keep focus inside the dialog while it is open (WCAG 2.4.3)
+                const focusable = [...this.querySelectorAll('button, [tabindex="0"]')];
+                const first = focusable[0];
+                const last = focusable[focusable.length - 1];
+                if (event.shiftKey && document.activeElement === first) {
+                    event.preventDefault();
+                    last.focus();
+                } else if (!event.shiftKey && document.activeElement === last) {
+                    event.preventDefault();
+                    first.focus();
+                }
+            }
+        });
+    }
+    
+    // Render the current matrix to a PNG blob at the given scale factor
+    function toPNG(scale = 2) {
+        const width = +svg.attr("width");
+        const height = +svg.attr("height");
+        const svgBlob = new Blob([serializeMatrixSvg()], {type: 'image/svg+xml;charset=utf-8'});
+        const url = URL.createObjectURL(svgBlob);
+        
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = function() {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * scale);
+                canvas.height = Math.round(height * scale);
+                const context = canvas.getContext('2d');
+                context.scale(scale, scale);
+                context.drawImage(image, 0, 0, width, height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(resolve, 'image/png');
+            };
+            image.onerror = function() {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not render the matrix as an image.'));
+            };
+            image.src = url;
+        });
+    }
+    
+    // Remove everything this instance added to the page
+    function destroy() {
+        if (resizeObserver) resizeObserver.disconnect();
+        stopSonification();
+        if (audioContext) audioContext.close();
+        closeDetailPanel();
+        if (detailPanel) detailPanel.remove();
+        tooltip.remove();
+        d3.select(containerEl).on("keydown.selection", null).selectAll("*").remove();
+        Object.keys(listeners).forEach(event => delete listeners[event]);
+        cells = null;
+        svg = null;
+    }
+    
+    // Build monthly aggregates, lookups and color scale for the selected year range
+    function processData() {
+        dailyData = filterYears(allData, startYear, endYear);
+        dailyLookup = groupByMonth(dailyData);
+        dayLookup = {};
+        dailyData.forEach(d => {
+            dayLookup[formatDate(d.date)] = d;
+        });
+        monthlyData = aggregateMonths(dailyLookup);
+        metricValueCache = {};
+        distributionCache = null;
+        
+        monthlyLookup = {};
+        monthlyData.forEach(d => {
+            monthlyLookup[`${d.year}-${d.month}`] = d;
+        });
+        
+        updateColorScale();
+    }
+    
+    // Detect events over the whole dataset (so records are all-time) and index them by date
+    function updateEvents() {
+        events = detectEvents(allData, eventSettings);
+        eventDays = {};
+        events.forEach(event => {
+            // Streaks can run into the next month, so index every day they cover
+            const [year, month, day] = event.start.split('-').map(Number);
+            for (let i = 0; i < event.days; i++) {
+                const key = formatDate(new Date(year, month - 1, day + i));
+                if (!eventDays[key]) eventDays[key] = [];
+                eventDays[key].push(event);
+            }
+        });
+    }
+    
+    // Events overlapping the selected years
+    function getEventsInRange() {
+        return events.filter(event => event.end >= `${startYear}-01-01` && event.start <= `${endYear}-12-31`);
+    }
+    
+    function isValidEventSettings(settings) {
+        return !!settings && recordModes.includes(settings.records) && streakEventTypes.every(type =>
+            settings[type] && isFinite(settings[type].threshold) && Number.isInteger(settings[type].days) && settings[type].days >= 1);
+    }
+    
+    // Copy of event settings with each threshold passed through `convert`
+    function convertEventSettings(settings, convert) {
+        const copy = {records: settings.records};
+        streakEventTypes.forEach(type => {
+            copy[type] = {threshold: convert(settings[type].threshold), days: settings[type].days};
+        });
+        return copy;
+    }
+    
+    // Value of the current metric for a cell, or null when it has no daily data.
+    // Calendar days (which carry a `date`) use the metric's per-day value.
+    function getMetricValue(d) {
+        if (d.date) {
+            return d.record ? metrics[currentMetric].daily(d.record, dailyLookup[`${d.year}-${d.month}`]) : null;
+        }
+        if (!metricValueCache[currentMetric]) metricValueCache[currentMetric] = {};
+        const cache = metricValueCache[currentMetric];
+        if (!(d.key in cache)) {
+            const cellDaily = dailyLookup[d.key] || [];
+            cache[d.key] = cellDaily.length === 0 ? null : metrics[currentMetric].compute(cellDaily);
+        }
+        return cache[d.key];
+    }
+    
+    // The reference station's value of the current metric for a month cell or calendar day
+    function getReferenceValue(d) {
+        const metric = metrics[currentMetric];
+        if (d.date) {
+            const record = reference.dayLookup[formatDate(d.date)];
+            return record ? metric.daily(record, reference.dailyLookup[`${d.year}-${d.month}`]) : null;
+        }
+        const cacheKey = `reference-${currentMetric}`;
+        if (!metricValueCache[cacheKey]) metricValueCache[cacheKey] = {};
+        const cache = metricValueCache[cacheKey];
+        if (!(d.key in cache)) {
+            const cellDaily = reference.dailyLookup[d.key];
+            cache[d.key] = cellDaily ? metric.compute(cellDaily) : null;
+        }
+        return cache[d.key];
+    }
+    
+    // Value used for cell color: the metric itself, its difference from the
+    // reference station in difference mode, or its anomaly in anomaly mode
+    function getCellValue(d) {
+        const value = getMetricValue(d);
+        if (value === null) return value;
+        if (reference) {
+            const other = getReferenceValue(d);
+            return other === null ? null : value - other;
+        }
+        if (!anomalyMode) return value;
+        const baseline = baselineLookup[d.month];
+        return baseline === undefined ? null : value - baseline;
+    }
+    
+    // Mean of the current metric for each calendar month over the baseline
+    // years; in the calendar view, the mean of its per-day values
+    function computeBaseline() {
+        const metric = metrics[currentMetric];
+        const statistic = currentView === 'calendar'
+            ? days => mean(days.map(day => metric.daily(day, days)))
+            : metric.compute;
+        baselineLookup = computeMonthlyBaseline(fullDailyLookup, statistic, baselineStart, baselineEnd);
+    }
+    
+    // Color values of all cells, or all days in the calendar view, leaving out
+    // incomplete months when they are excluded from the scale
+    function getColorValues() {
+        let keys = Object.keys(dailyLookup);
+        if (excludeIncomplete) {
+            // Fall back to every month if none in the range is complete
+            const complete = keys.filter(key => monthlyLookup[key].coverage >= 1);
+            if (complete.length > 0) keys = complete;
+        }
+        return (currentView === 'calendar'
+            ? keys.flatMap(key => dailyLookup[key].map(record => getCellValue({date: record.date, year: record.year, month: record.month, record})))
+            : keys.map(key => getCellValue({key, month: dailyLookup[key][0].month})))
+            .filter(v => v !== null && v !== undefined && !isNaN(v));
+    }
+    
+    // Recompute the color domain from the current metric's values, or use the
+    // shared domain when one is set
+    function updateColorScale() {
+        if (anomalyMode) computeBaseline();
+        // Trends follow the metric and range too; anomalies share the metric's
+        // trend, but station differences are fitted on the differences the cells show
+        if (showTrends) {
+            const statistic = reference
+                ? days => getCellValue({key: `${days[0].year}-${days[0].month}`, month: days[0].month})
+                : metrics[currentMetric].compute;
+            trends = computeTrends(dailyLookup, statistic, startYear, endYear);
+        }
+        
+        const [low, high] = colorDomain || extent(getColorValues());
+        
+        // Excluded months can fall outside the domain, so clamp them to its ends
+        if (hasSignedValues()) {
+            // Symmetric diverging domain centred on zero, warm anomalies in red
+            const largest = Math.max(Math.abs(low), Math.abs(high)) || 1;
+            minTemp = -largest;
+            maxTemp = largest;
+            colorScale = d3.scaleDiverging(getPaletteInterpolator())
+                .domain([minTemp, 0, maxTemp])
+                .clamp(true);
+        } else {
+            minTemp = low;
+            maxTemp = high;
+            
+            // Avoid a zero-width domain when every cell has the same value
+            if (minTemp === maxTemp) {
+                minTemp -= 0.5;
+                maxTemp += 0.5;
+            }
+            
+            // Create color scale
+            colorScale = d3.scaleSequential(getPaletteInterpolator())
+                .domain([minTemp, maxTemp])
+                .clamp(true);
+        }
+        
+        if (binnedScale) colorScale = createBinnedScale(colorScale);
+    }
+    
+    // Interior bin edges: the user's edges inside the domain, or "nice" round ones
+    function getBinEdges() {
+        if (customBinEdges) {
+            return customBinEdges.filter(edge => edge > minTemp && edge < maxTemp);
+        }
+        // Pick round numbers in the display unit so bin labels stay readable
+        const isDifference = cellValuesAreDifferences();
+        return d3.ticks(toDisplayUnit(minTemp, isDifference), toDisplayUnit(maxTemp, isDifference), 8)
+            .map(edge => fromDisplayUnit(edge, isDifference))
+            .filter(edge => edge > minTemp && edge < maxTemp);
+    }
+    
+    // Threshold scale with one flat color per bin, taken from the continuous
+    // scale at the bin's midpoint so the binned view matches the palette
+    function createBinnedScale(continuousScale) {
+        binEdges = getBinEdges();
+        const bounds = [minTemp, ...binEdges, maxTemp];
+        const colors = d3.range(bounds.length - 1)
+            .map(i => continuousScale((bounds[i] + bounds[i + 1]) / 2));
+        return d3.scaleThreshold()
+            .domain(binEdges)
+            .range(colors);
+    }
+    
+    // Index of the bin a value falls in (bins are closed at their lower edge)
+    function getBinIndex(value) {
+        return d3.bisectRight(binEdges, value);
+    }
+    
+    // Convert a Celsius value to the display unit. Differences (anomalies,
+    // ranges, spreads) are scaled without the +32 offset.
+    function toDisplayUnit(value, isDifference = false) {
+        if (currentUnit === 'C') return value;
+        return isDifference ? value * 9 / 5 : value * 9 / 5 + 32;
+    }
+    
+    function fromDisplayUnit(value, isDifference = false) {
+        if (currentUnit === 'C') return value;
+        return isDifference ? value * 5 / 9 : (value - 32) * 5 / 9;
+    }
+    
+    // Format a Celsius value in the display unit, e.g. "88.3°F"
+    function formatTemperature(value, isDifference = false) {
+        if (value === null || value === undefined || isNaN(value)) return 'N/A';
+        return toDisplayUnit(value, isDifference).toFixed(1) + units[currentUnit].symbol;
+    }
+    
+    // Whether cell values are temperature differences rather than absolute temperatures
+    function cellValuesAreDifferences() {
+        return hasSignedValues() || !!metrics[currentMetric].isDifference;
+    }
+    
+    // Anomalies and differences from the reference station are signed, on a
+    // diverging scale centred on zero
+    function hasSignedValues() {
+        return anomalyMode || !!reference;
+    }
+    
+    // What signed values are measured against: the reference station or the baseline period
+    function getSignedValueLabel() {
+        return reference ? reference.name : getBaselineLabel();
+    }
+    
+    // Interpolator for the active palette, oriented so t = 1 is the high end
+    function getPaletteInterpolator() {
+        const palette = palettes[currentPalette];
+        const flip = palette.highFirst !== reversePalette;
+        return flip ? t => palette.interpolator(1 - t) : palette.interpolator;
+    }
+    
+    function getBaselineLabel() {
+        return baselineStart === baselineEnd ? `${baselineStart}` : `${baselineStart}–${baselineEnd}`;
+    }
+    
+    function getCellFill(d) {
+        const value = getCellValue(d);
+        return value === null ? "#1a1a1a" : colorScale(value);
+    }
+    
+    function getCellAriaLabel(d) {
+        if (d.date) return getDayAriaLabel(d);
+        const value = getCellValue(d);
+        const selected = selectedKeys.has(d.key) ? ' Selected.' : '';
+        if (value === null && reference && d.data) return `${monthNames[d.month - 1]} ${d.year}, no ${reference.name} data to compare.${selected}`;
+        if (value === null) return `${monthNames[d.month - 1]} ${d.year}, no data available${d.data ? '' : `: ${getNoDataReason(d)}`}.${selected}`;
+        const coverage = isIncomplete(d) ? ` Incomplete month, ${getCoverageText(d)}.` : '';
+        if (reference) {
+            return `${monthNames[d.month - 1]} ${d.year}, ${metrics[currentMetric].description} ${toDisplayUnit(Math.abs(value), true).toFixed(1)} ${units[currentUnit].name} ${value >= 0 ? 'above' : 'below'} ${reference.name}.${coverage}${getCellTrendText(d)}${getCellEventText(d)}${selected} Press Enter to open the daily detail chart.`;
+        }
+        if (anomalyMode) {
+            const direction = value >= 0 ? 'above' : 'below';
+            return `${monthNames[d.month - 1]} ${d.year}, ${metrics[currentMetric].description} ${toDisplayUnit(Math.abs(value), true).toFixed(1)} ${units[currentUnit].name} ${direction} the ${getBaselineLabel()} baseline of ${toDisplayUnit(baselineLookup[d.month], metrics[currentMetric].isDifference).toFixed(1)} degrees.${coverage}${getCellTrendText(d)}${getCellEventText(d)}${selected} Press Enter to open the daily detail chart.`;
+        }
+        return `${monthNames[d.month - 1]} ${d.year}, ${metrics[currentMetric].description} ${toDisplayUnit(value, metrics[currentMetric].isDifference).toFixed(1)} ${units[currentUnit].name}.${coverage}${getCellTrendText(d)}${getCellEventText(d)}${selected} Press Enter to open the daily detail chart.`;
+    }
+    
+    // Events during the cell's month, when events are shown
+    function getCellEventText(d) {
+        const cellEvents = showEvents ? getCellEvents(d) : [];
+        return cellEvents.length ? ` ${describeEvents(cellEvents)}` : '';
+    }
+    
+    function getCellEvents(d) {
+        const found = new Set();
+        (dailyLookup[d.key] || []).forEach(day => {
+            (eventDays[formatDate(day.date)] || []).forEach(event => found.add(event));
+        });
+        return [...found];
+    }
+    
+    function describeEvents(list) {
+        return `Extreme events: ${list.map(describeEvent).join('; ')}.`;
+    }
+    
+    // e.g. "Heatwave 2 Jul 2017 to 5 Jul 2017 (4 days), peak 35.2°C"
+    function describeEvent(event) {
+        const formatDay = key => d3.timeFormat("%-d %b %Y")(d3.timeParse("%Y-%m-%d")(key));
+        const isRecord = event.type === 'recordHigh' || event.type === 'recordLow';
+        const dates = event.days > 1
+            ? `${formatDay(event.start)} to ${formatDay(event.end)} (${event.days} days)`
+            : formatDay(event.start);
+        return `${eventTypes[event.type].label} ${dates}, ${isRecord ? '' : 'peak '}${formatTemperature(event.value)}`;
+    }
+    
+    // Trend of the cell's calendar month, when the trend column is shown
+    function getCellTrendText(d) {
+        return showTrends ? ` ${getTrendText(trends.monthly[d.month], monthNames[d.month - 1])}` : '';
+    }
+    
+    function getDayAriaLabel(d) {
+        const date = d3.timeFormat("%A %-d %B %Y")(d.date);
+        const value = getCellValue(d);
+        if (!d.record) return `${date}, no data: ${getNoDataReason(d)}`;
+        const metric = metrics[currentMetric];
+        const reading = reference && value === null
+            ? `no ${reference.name} reading to compare`
+            : hasSignedValues()
+            ? `${metric.dailyLabel.toLowerCase()} ${toDisplayUnit(Math.abs(value), true).toFixed(1)} ${units[currentUnit].name} ${value >= 0 ? 'above' : 'below'} ${reference ? reference.name : `the ${getBaselineLabel()} baseline`}`
+            : `${metric.dailyLabel.toLowerCase()} ${toDisplayUnit(value, metric.isDifference).toFixed(1)} ${units[currentUnit].name}`;
+        const dayEvents = showEvents && eventDays[d.key] ? ` ${describeEvents(eventDays[d.key])}` : '';
+        return `${date}, ${reading}; maximum ${toDisplayUnit(d.record.max_temperature).toFixed(1)}, minimum ${toDisplayUnit(d.record.min_temperature).toFixed(1)}.${dayEvents} Press Enter to open the month's daily detail chart.`;
+    }
+    
+    // Whether a cell has data for only part of its month
+    function isIncomplete(d) {
+        return !!d.data && d.data.coverage < 1;
+    }
+    
+    function getCoverageText(d) {
+        return `${d.data.days} of ${d.data.expectedDays} days recorded`;
+    }
+    
+    // Why a cell or day has no data: outside the dataset's dates, or a gap inside it
+    function getNoDataReason(d) {
+        // Compare whole months for cells and whole dates for calendar days
+        const length = d.date ? 10 : 7;
+        const cellDate = d.date ? d.key : `${d.year}-${String(d.month).padStart(2, '0')}`;
+        if (firstDate && cellDate < firstDate.slice(0, length)) return `before the dataset starts on ${firstDate}`;
+        if (lastDate && cellDate > lastDate.slice(0, length)) return `after the dataset ends on ${lastDate}`;
+        return d.date ? 'no observation was recorded on this day' : 'no observations were recorded this month';
+    }
+    
+    // Draw the current view from scratch. A quiet render (after a resize)
+    // keeps the detail panel open and makes no announcement.
+    function render(quiet = false) {
+        if (!quiet) closeDetailPanel();
+        
+        // Clear loading message or previous render
+        d3.select(containerEl).selectAll("*").remove();
+        matrixCanvas = null;
+        containerEl.setAttribute('aria-busy', 'false');
+        
+        // Get unique years
+        const years = [...new Set(monthlyData.map(d => d.year))].sort((a, b) => a - b);
+        const width = currentView === 'calendar' ? drawCalendar(years) : drawMatrix(years);
+        
+        // Create legend
+        createLegend(width);
+        // Keep only selected cells that are still drawn (none in the calendar)
+        selectedKeys = new Set([...selectedKeys].filter(key => !findCell(key).empty()));
+        updateSelection();
+        updateComparison();
+        drawEventPanel();
+        drawDataTable();
+        drawDistributionPanel();
+        
+        // Title (removed mode indicator - now using HTML button)
+        svg.append("text")
+            .attr("x", width / 2)
+            .attr("y", 30)
+            .attr("text-anchor", "middle")
+            .style("font-size", "18px")
+            .style("font-weight", "bold")
+            .style("fill", "#e0e0e0")
+            .attr("class", "matrix-title")
+            .text(`${title} (${startYear}-${endYear})`);
+        
+        emit('render', getState());
+        
+        // Announce to screen reader
+        if (quiet) return;
+        announce(currentView === 'calendar'
+            ? `Calendar heatmap loaded. Showing ${years.length} years of daily data. Use Tab to reach the calendar, arrow keys to move between days, Enter to open a month's daily detail chart.`
+            : `Temperature matrix loaded. Showing ${years.length} years of data. Use Tab to navigate cells, Enter to open a month's daily detail chart, Shift with arrow keys to select several months.`);
+    }
+    
+    // Monthly matrix: one cell per month with a mini chart of its days.
+    // Returns the SVG width.
+    function drawMatrix(years) {
+        fitCellSize(years.length);
+        miniChartCache = {};
+        hoveredKey = null;
+        matrixLayout = computeMatrixLayout(years);
+        zoomTransform = d3.zoomIdentity;
+        
+        // Calculate dimensions (account for spacing between cells)
+        const trendWidth = showTrends ? trendColumnWidth : 0;
+        const width = matrixLayout.width + trendWidth + margin.left + margin.right;
+        const height = matrixLayout.height + margin.top + margin.bottom;
+        
+        drawZoomControls();
+        
+        // Create SVG with ARIA attributes
+        svg = appendMatrixLayout()
+            .append("svg")
+            .attr("width", width)
+            .attr("height", height)
+            .attr("role", "img")
+            .attr("aria-label", getMatrixLabel());
+        
+        // Diagonal hatching for months with missing days
+        const defs = svg.append("defs");
+        defs.append("pattern")
+            .attr("id", hatchId)
+            .attr("patternUnits", "userSpaceOnUse")
+            .attr("width", 6)
+            .attr("height", 6)
+            .attr("patternTransform", "rotate(45)")
+            .append("line")
+            .attr("x1", 0)
+            .attr("y1", 0)
+            .attr("x2", 0)
+            .attr("y2", 6)
+            .attr("stroke", "rgba(0, 0, 0, 0.35)")
+            .attr("stroke-width", 2);
+        // Zoomed cells are clipped to the grid area so they stay clear of the labels
+        defs.append("clipPath")
+            .attr("id", clipId)
+            .append("rect")
+            .attr("x", -cellSpacing / 2)
+            .attr("y", -cellSpacing / 2);
+        
+        g = svg.append("g")
+            .attr("transform", `translate(${margin.left},${margin.top})`);
+        
+        // The zoomable grid: a viewport that takes pan and zoom gestures (with
+        // a transparent background so gaps between cells respond too) and the
+        // grid it transforms
+        const viewport = g.append("g")
+            .attr("class", "matrix-viewport")
+            .attr("clip-path", `url(#${clipId})`);
+        viewport.append("rect")
+            .attr("class", "zoom-background")
+            .attr("x", -cellSpacing / 2)
+            .attr("y", -cellSpacing / 2)
+            .attr("fill", "transparent");
+        const grid = viewport.append("g")
+            .attr("class", "matrix-grid");
+        
+        // Year labels (x-axis) double as buttons that add the year to the comparison
+        g.selectAll(".year-label")
+            .data(years)
+            .enter()
+            .append("text")
+            .attr("class", "year-label year-toggle")
+            .attr("y", -10)
+            .attr("text-anchor", "middle")
+            .style("font-size", "12px")
+            .style("font-weight", "bold")
+            .style("fill", "#e0e0e0")
+            .style("cursor", "pointer")
+            .attr("tabindex", "0")
+            .attr("role", "button")
+            .attr("aria-label", d => `Compare ${d} with other years`)
+            .text(d => d)
+            .on("click", (event, d) => toggleComparisonYear(d))
+            .on("keydown", (event, d) => {
+                if (event.key === 'Enter' || event.key === ' ') {
+                    event.preventDefault();
+                    toggleComparisonYear(d);
+                }
+            });
+        
+        // Create cells with keyboard navigation support, in column order so
+        // Tab moves down each year in turn
+        const cellData = matrixLayout.years.flatMap(year =>
+            matrixLayout.months.map(month => ({
+                year,
+                month,
+                key: `${year}-${month}`,
+                data: monthlyLookup[`${year}-${month}`] || null
+            }))
+        );
+        
+        cells = grid.selectAll(".cell")
+            .data(cellData)
+            .enter()
+            .append("g")
+            .attr("class", "cell")
+            .attr("tabindex", "0")
+            .attr("role", "button")
+            .attr("aria-label", getCellAriaLabel);
+        
+        // Store cell elements for keyboard navigation
+        cellElements = cells.nodes();
+        
+        // The canvas renderer paints cells and mini charts under the grid;
+        // the cell elements above it stay as a transparent overlay for focus,
+        // keyboard use and screen readers
+        matrixCanvas = renderer === 'canvas' ? createMatrixCanvas(viewport) : null;
+        svg.classed("canvas-renderer", !!matrixCanvas);
+        
+        // Add cell background with rounded corners
+        cells.append("rect")
+            .attr("width", cellWidth)
+            .attr("height", cellHeight)
+            .attr("rx", 6)
+            .attr("ry", 6)
+            .attr("fill", d => matrixCanvas ? "transparent" : getCellFill(d))
+            .attr("stroke", d => matrixCanvas ? "none" : isIncomplete(d) ? "#b0b0b0" : "#404040")
+            .attr("stroke-width", 1)
+            .attr("stroke-dasharray", d => isIncomplete(d) ? "4 3" : null)
+            .style("cursor", "pointer");
+        
+        // Incomplete months are hatched and outlined, so the gap is not shown by color alone
+        if (!matrixCanvas) {
+            cells.filter(isIncomplete)
+                .append("rect")
+                .attr("class", "coverage-hatch")
+                .attr("width", cellWidth)
+                .attr("height", cellHeight)
+                .attr("rx", 6)
+                .attr("ry", 6)
+                .attr("fill", `url(#${hatchId})`)
+                .attr("aria-hidden", "true")
+                .style("pointer-events", "none");
+        }
+        
+        // Pointer input goes to the cells, or with the canvas renderer to the
+        // canvas, which hit-tests for the cell under the pointer
+        const pointerTarget = matrixCanvas || cells;
+        const cellOf = (event, d) => matrixCanvas ? getCellAtPointer(event) : d;
+        
+        // Touch: a long press shows the cell's tooltip instead of selecting it
+        let pressTimer = null;
+        let pressStart = null;
+        let longPressed = false;
+        const cancelPress = () => {
+            clearTimeout(pressTimer);
+            pressTimer = null;
+        };
+        pointerTarget.on("pointerdown.touch", function(event, datum) {
+            const d = cellOf(event, datum);
+            if (event.pointerType !== 'touch' || !d) return;
+            cancelPress();
+            longPressed = false;
+            pressStart = [event.clientX, event.clientY];
+            pressTimer = setTimeout(() => {
+                longPressed = true;
+                emit('hover', getCellInfo(d));
+                showTooltip(event, d);
+            }, longPressDuration);
+        })
+        .on("pointermove.touch", function(event) {
+            if (pressTimer && Math.hypot(event.clientX - pressStart[0], event.clientY - pressStart[1]) > longPressSlop) {
+                cancelPress();
+            }
+        })
+        .on("pointerup.touch pointercancel.touch", cancelPress)
+        .on("contextmenu", function(event) {
+            // Keep the browser menu from covering the tooltip
+            if (longPressed) event.preventDefault();
+        });
+        
+        // Click handler - opens the daily detail panel for the month;
+        // shift-click adds the cell to (or removes it from) the selection
+        pointerTarget.on("click", function(event, datum) {
+            const d = cellOf(event, datum);
+            if (!d) return;
+            event.stopPropagation();
+            // The click ending a long press only closes its tooltip
+            if (longPressed) {
+                longPressed = false;
+                return;
+            }
+            if (event.shiftKey) {
+                toggleCellSelection(d);
+            } else {
+                selectCell(d, findCell(d.key).node());
+            }
+        });
+        
+        // Keyboard navigation (WCAG 2.1.1, 2.1.2). Arrow keys follow the
+        // displayed order; Shift+Enter toggles the cell in the selection and
+        // Shift+Arrow extends a rectangle from the anchor.
+        cells.on("keydown", function(event, d) {
+            const columns = matrixLayout.years;
+            const rows = matrixLayout.months;
+            let column = columns.indexOf(d.year);
+            let row = rows.indexOf(d.month);
+            
+            switch(event.key) {
+                case 'Enter':
+                case ' ':
+                    event.preventDefault();
+                    if (event.shiftKey) {
+                        toggleCellSelection(d);
+                    } else {
+                        selectCell(d, this);
+                    }
+                    return;
+                case 'ArrowRight':
+                    column = Math.min(column + 1, columns.length - 1);
+                    break;
+                case 'ArrowLeft':
+                    column = Math.max(column - 1, 0);
+                    break;
+                case 'ArrowDown':
+                    row = Math.min(row + 1, rows.length - 1);
+                    break;
+                case 'ArrowUp':
+                    row = Math.max(row - 1, 0);
+                    break;
+                case '+':
+                case '=':
+                case '-':
+                case '0':
+                    event.preventDefault();
+                    zoomAtCell(d, event.key === '0' ? null : event.key === '-' ? 1 / zoomStep : zoomStep);
+                    return;
+                case 'p':
+                case 'P':
+                    event.preventDefault();
+                    toggleSonification(d);
+                    return;
+                default:
+                    return;
+            }
+            
+            event.preventDefault();
+            const target = findCell(`${columns[column]}-${rows[row]}`).node();
+            if (event.shiftKey) {
+                if (!selectionAnchor) selectionAnchor = d;
+                setSelection(getCellsBetween(selectionAnchor, d3.select(target).datum()));
+            } else {
+                selectionAnchor = null;
+            }
+            target.focus();
+        });
+        
+        // Dragging across cells brush-selects the rectangle they span;
+        // shift-drag adds it to the current selection. Touch drags pan instead.
+        const brushRect = grid.append("rect")
+            .attr("class", "selection-brush")
+            .attr("aria-hidden", "true")
+            .style("display", "none");
+        const cellAt = (x, y) => {
+            const {years: columns, months: rows} = matrixLayout;
+            const column = Math.floor(x / (cellWidth + cellSpacing));
+            // The last row starting above the pointer, so season gaps belong to the row above
+            const row = d3.bisectRight(rows.map(matrixLayout.y), y) - 1;
+            return {
+                year: columns[Math.max(0, Math.min(columns.length - 1, column))],
+                month: rows[Math.max(0, row)]
+            };
+        };
+        let brushStart = null;
+        let brushBase = [];
+        // d3-drag reports every move, even within the click distance, so the
+        // brush only starts once the pointer leaves the cell it pressed
+        let brushing = false;
+        pointerTarget.call(d3.drag()
+            .container(grid.node())
+            .touchable(false)
+            // Drags starting between canvas cells have no subject, so they pan
+            .subject((event, datum) => {
+                const cell = cellOf(event.sourceEvent, datum);
+                return cell ? {x: event.x, y: event.y, cell} : null;
+            })
+            .clickDistance(4)
+            .on("start", event => {
+                brushStart = event.subject.cell;
+                brushBase = event.sourceEvent.shiftKey ? [...selectedKeys] : [];
+                brushing = false;
+            })
+            .on("drag", event => {
+                const end = cellAt(event.x, event.y);
+                if (!brushing && end.year === brushStart.year && end.month === brushStart.month) return;
+                brushing = true;
+                const [x0, x1] = d3.extent([brushStart.year, end.year].map(matrixLayout.x));
+                const [y0, y1] = d3.extent([brushStart.month, end.month].map(matrixLayout.y));
+                brushRect
+                    .style("display", null)
+                    .attr("x", x0 - cellSpacing / 2)
+                    .attr("y", y0 - cellSpacing / 2)
+                    .attr("width", x1 - x0 + cellWidth + cellSpacing)
+                    .attr("height", y1 - y0 + cellHeight + cellSpacing);
+                selectionAnchor = brushStart;
+                setSelection([...brushBase, ...getCellsBetween(brushStart, end)], false);
+            })
+            .on("end", () => {
+                if (!brushing) return;
+                brushing = false;
+                brushRect.style("display", "none");
+                drawSelectionPanel();
+                announceSelection();
+            }));
+        
+        // Mouse hover and focus with tooltip
+        if (matrixCanvas) {
+            matrixCanvas
+                .on("mousemove", event => setHoveredCell(getCellAtPointer(event), event))
+                .on("mouseleave", () => setHoveredCell(null));
+        } else {
+            cells.on("mouseover", function(event, d) {
+                emit('hover', getCellInfo(d));
+                showTooltip(event, d);
+            })
+            .on("mouseout", function() {
+                emit('hover', null);
+                hideTooltip();
+            });
+        }
+        cells.on("focus", function(event, d) {
+            focusedCellKey = d.key;
+            panToCell(d);
+            emit('focus', getCellInfo(d));
+            showTooltip(event, d);
+            highlightMonth(d.month);
+        })
+        .on("blur", function() {
+            // Keep tooltip visible for keyboard users until next focus
+            highlightMonth(null);
+        });
+        
+        // Outline around each year column picked for comparison
+        grid.selectAll(".year-highlight")
+            .data(years)
+            .enter()
+            .append("rect")
+            .attr("class", "year-highlight")
+            .attr("y", -cellSpacing / 2)
+            .attr("width", cellWidth + cellSpacing)
+            .attr("rx", 8)
+            .attr("ry", 8)
+            .attr("aria-hidden", "true");
+        
+        // Add mini line charts (the canvas renderer paints its own)
+        if (!matrixCanvas) {
+            cells.filter(d => d.data && getMiniChart(d)).each(function(d) {
+                const {days: cellDaily, xScale, yScale} = getMiniChart(d);
+                
+                // Create mini chart group
+                const chartG = d3.select(this)
+                    .append("g")
+                    .attr("class", "mini-chart")
+                    .attr("transform", `translate(${chartMargin},${chartMargin})`)
+                    .attr("aria-hidden", "true");
+                
+                // Line generators for both max and min
+                const maxLine = d3.line()
+                    .x(d => xScale(d.day))
+                    .y(d => yScale(d.max_temperature))
+                    .curve(d3.curveMonotoneX);
+                
+                const minLine = d3.line()
+                    .x(d => xScale(d.day))
+                    .y(d => yScale(d.min_temperature))
+                    .curve(d3.curveMonotoneX);
+                
+                // Derive line colors from the cell fill so they stay visible for any metric
+                const baseColor = getCellFill(d);
+                
+                // Draw min temperature line with adjusted color for visibility
+                chartG.append("path")
+                    .datum(cellDaily)
+                    .attr("fill", "none")
+                    .attr("stroke", getLineColor(baseColor, false))
+                    .attr("stroke-width", 1.5)
+                    .attr("class", "min-line")
+                    .attr("d", minLine);
+                
+                // Draw max temperature line with adjusted color for visibility
+                chartG.append("path")
+                    .datum(cellDaily)
+                    .attr("fill", "none")
+                    .attr("stroke", getLineColor(baseColor, true))
+                    .attr("stroke-width", 1.5)
+                    .attr("class", "max-line")
+                    .attr("d", maxLine);
+                
+                // Mark event days on the line the event is defined by
+                if (showEvents) {
+                    chartG.selectAll(".event-marker")
+                        .data(getEventMarks(cellDaily))
+                        .enter()
+                        .append("circle")
+                        .attr("class", "event-marker")
+                        .attr("cx", m => xScale(m.day.day))
+                        .attr("cy", m => yScale(m.day[eventTypes[m.event.type].field]))
+                        .attr("r", 2.5)
+                        .attr("fill", m => eventTypes[m.event.type].color)
+                        .attr("stroke", "#1a1a1a")
+                        .attr("stroke-width", 0.5);
+                }
+            });
+        }
+        
+        // Add month labels (y-axis)
+        g.selectAll(".month-label")
+            .data(months)
+            .enter()
+            .append("text")
+            .attr("class", "month-label")
+            .attr("x", -10)
+            .attr("text-anchor", "end")
+            .attr("dominant-baseline", "middle")
+            .style("font-size", "12px")
+            .style("font-weight", "bold")
+            .style("fill", "#e0e0e0")
+            .attr("aria-hidden", "true")
+            .text(d => monthNames[d - 1])
+            .on("mouseenter", (event, d) => highlightMonth(d))
+            .on("mouseleave", () => highlightMonth(null));
+        
+        grid.append("g")
+            .attr("class", "season-separators")
+            .attr("aria-hidden", "true");
+        g.append("g")
+            .attr("class", "season-labels")
+            .attr("aria-hidden", "true");
+        
+        if (showTrends) {
+            g.append("g")
+                .attr("class", "trend-column")
+                .attr("transform", `translate(${matrixLayout.width + cellSpacing + 10},0)`)
+                .attr("role", "group");
+            updateTrendColumn();
+        }
+        
+        zoomBehavior = d3.zoom()
+            .scaleExtent([1, maxZoom])
+            // The wheel only zooms with Ctrl or Cmd (or a trackpad pinch), so
+            // it still scrolls the page; one-finger touch pans only when zoomed
+            .filter(event => {
+                if (event.type === 'wheel') return event.ctrlKey || event.metaKey;
+                if (event.type === 'touchstart') return zoomTransform.k > 1 || event.touches.length > 1;
+                return !event.ctrlKey && !event.button;
+            })
+            .on("zoom", event => {
+                zoomTransform = event.transform;
+                grid.attr("transform", zoomTransform);
+                positionMatrix(false);
+                updateZoomDetail();
+            });
+        viewport.call(zoomBehavior)
+            .on("dblclick.zoom", null);
+        
+        positionMatrix(false);
+        updateZoomDetail();
+        return width;
+    }
+    
+    // Cell size that fits the year columns (and trend column) in the
+    // container's width, between minCellWidth and maxCellWidth. Without a
+    // laid-out container (hidden, or no layout engine) cells are full size.
+    // Room is left for the distribution panel unless the cells would have to
+    // shrink below minCellWidth for it, in which case the panel wraps below.
+    function fitCellSize(columnCount) {
+        const style = window.getComputedStyle(containerEl);
+        let available = containerEl.clientWidth - parseFloat(style.paddingLeft || 0) - parseFloat(style.paddingRight || 0);
+        const trendWidth = showTrends ? trendColumnWidth : 0;
+        if (hasDistributionPanel()) {
+            const beside = available - distributionPanelWidth;
+            const minimum = margin.left + margin.right + trendWidth + columnCount * (minCellWidth + cellSpacing) - cellSpacing;
+            if (beside >= minimum) available = beside;
+        }
+        const fitted = available > 0
+            ? (available - margin.left - margin.right - trendWidth + cellSpacing) / columnCount - cellSpacing
+            : maxCellWidth;
+        cellWidth = Math.floor(Math.max(minCellWidth, Math.min(maxCellWidth, fitted)));
+        cellHeight = Math.round(cellWidth * cellAspect);
+        chartWidth = cellWidth - 4 * chartMargin;
+        chartHeight = cellHeight - 4 * chartMargin;
+        return cellWidth;
+    }
+    
+    // Row for the matrix or calendar SVG and the distribution panel, which
+    // sits beside it and wraps below when there is no room
+    function appendMatrixLayout() {
+        return d3.select(containerEl)
+            .append("div")
+            .attr("class", "matrix-layout");
+    }
+    
+    // Zoom in, zoom out and reset buttons above the matrix
+    function drawZoomControls() {
+        const controls = d3.select(containerEl)
+            .append("div")
+            .attr("class", "zoom-controls")
+            .attr("role", "group")
+            .attr("aria-label", "Matrix zoom");
+        [
+            ['+', 'Zoom in', () => zoomBy(zoomStep)],
+            ['−', 'Zoom out', () => zoomBy(1 / zoomStep)],
+            ['Reset', 'Reset zoom', resetZoom]
+        ].forEach(([text, label, action]) => {
+            controls.append("button")
+                .attr("type", "button")
+                .attr("class", "secondary-button")
+                .attr("aria-label", label)
+                .text(text)
+                .on("click", action);
+        });
+        controls.append("span")
+            .attr("class", "zoom-hint")
+            .text("Ctrl + scroll or pinch to zoom, drag the background to pan; + and − on a focused cell");
+    }
+    
+    function zoomBy(factor) {
+        if (currentView !== 'matrix' || !zoomBehavior) return;
+        g.select(".matrix-viewport").call(zoomBehavior.scaleBy, factor);
+        announceZoom();
+    }
+    
+    function resetZoom() {
+        if (currentView !== 'matrix' || !zoomBehavior) return;
+        g.select(".matrix-viewport").call(zoomBehavior.transform, d3.zoomIdentity);
+        announceZoom();
+    }
+    
+    // Zoom about a cell by `factor`, or reset the zoom when it is null
+    function zoomAtCell(d, factor) {
+        if (factor === null) {
+            resetZoom();
+            return;
+        }
+        const center = zoomTransform.apply([matrixLayout.x(d.year) + cellWidth / 2, matrixLayout.y(d.month) + cellHeight / 2]);
+        g.select(".matrix-viewport").call(zoomBehavior.scaleBy, factor, center);
+        announceZoom();
+    }
+    
+    function announceZoom() {
+        announce(zoomTransform.k > 1 ? `Zoomed to ${d3.format(".1f")(zoomTransform.k)} times` : 'Zoom reset');
+    }
+    
+    // Pan a zoomed matrix so a focused cell is in view
+    function panToCell(d) {
+        if (!zoomBehavior || zoomTransform.k === 1) return;
+        const x = matrixLayout.x(d.year);
+        const y = matrixLayout.y(d.month);
+        const [left, top] = zoomTransform.apply([x, y]);
+        const [right, bottom] = zoomTransform.apply([x + cellWidth, y + cellHeight]);
+        if (left >= 0 && top >= 0 && right <= matrixLayout.width && bottom <= matrixLayout.height) return;
+        g.select(".matrix-viewport").call(zoomBehavior.translateTo, x + cellWidth / 2, y + cellHeight / 2);
+    }
+    
+    // Semantic zoom: mini charts hide while cells are too small on screen to
+    // read them, and zoomed-in cells gain day ticks, their temperature range and
+    // their value. Text is scaled down by the zoom so it stays the same size.
+    function updateZoomDetail() {
+        if (currentView !== 'matrix' || !cells) return;
+        const k = zoomTransform.k;
+        const screenWidth = cellWidth * k;
+        cells.selectAll(".mini-chart").style("display", screenWidth < minChartCellWidth ? "none" : null);
+        cells.selectAll(".cell-detail").remove();
+        if (screenWidth < detailCellWidth) return;
+        
+        const isVisible = d => {
+            const [left, top] = zoomTransform.apply([matrixLayout.x(d.year), matrixLayout.y(d.month)]);
+            return left < matrixLayout.width && top < matrixLayout.height &&
+                left + screenWidth > 0 && top + cellHeight * k > 0;
+        };
+        const isDifference = cellValuesAreDifferences();
+        cells.filter(d => d.data && getMiniChart(d) && isVisible(d)).each(function(d) {
+            const {xScale, yScale} = getMiniChart(d);
+            const [lowest, highest] = yScale.domain();
+            const lastDay = xScale.domain()[1];
+            const color = getLineColor(getCellFill(d), true);
+            const detail = d3.select(this)
+                .append("g")
+                .attr("class", "cell-detail")
+                .attr("aria-hidden", "true")
+                .style("font-size", `${8 / k}px`)
+                .style("fill", color);
+            
+            // Temperature range beside the mini chart
+            const rangeX = chartMargin + chartWidth + 2 / k;
+            detail.append("text")
+                .attr("x", rangeX)
+                .attr("y", chartMargin)
+                .attr("dominant-baseline", "hanging")
+                .text(toDisplayUnit(highest).toFixed(0));
+            detail.append("text")
+                .attr("x", rangeX)
+                .attr("y", chartMargin + chartHeight)
+                .text(toDisplayUnit(lowest).toFixed(0));
+            
+            // Day ticks under the mini chart
+            [1, 10, 20].filter(day => day <= lastDay).forEach(day => {
+                const x = chartMargin + (lastDay > 1 ? (day - 1) / (lastDay - 1) : 0) * chartWidth;
+                detail.append("line")
+                    .attr("x1", x)
+                    .attr("x2", x)
+                    .attr("y1", chartMargin + chartHeight)
+                    .attr("y2", chartMargin + chartHeight + 2 / k)
+                    .attr("stroke", color);
+                detail.append("text")
+                    .attr("x", x)
+                    .attr("y", chartMargin + chartHeight + 3 / k)
+                    .attr("text-anchor", "middle")
+                    .attr("dominant-baseline", "hanging")
+                    .text(day);
+            });
+            
+            detail.append("text")
+                .attr("class", "cell-detail-value")
+                .attr("x", cellWidth - 3 / k)
+                .attr("y", cellHeight - 3 / k)
+                .attr("text-anchor", "end")
+                .style("font-size", `${9 / k}px`)
+                .style("font-weight", "bold")
+                .text(formatTemperature(getCellValue(d), isDifference));
+        });
+    }
+    
+    // Column order, row order and positions for the current sort settings.
+    // `years` may be in any order. With season grouping, rows are grouped by
+    // season with a gap between groups; value orders also order the seasons.
+    function computeMatrixLayout(years) {
+        const chronological = [...years].sort((a, b) => a - b);
+        const valueOf = (year, month) => getCellValue({key: `${year}-${month}`, year, month});
+        
+        let columns = chronological;
+        if (yearOrder === 'annual') {
+            columns = sortByValue(chronological, year => mean(months.map(month => valueOf(year, month))));
+        } else if (yearOrder === 'month') {
+            columns = sortByValue(chronological, year => valueOf(year, orderMonth));
+        }
+        
+        const monthMean = month => mean(chronological.map(year => valueOf(year, month)));
+        let groups = groupSeasons
+            ? seasons.map(season => ({season, months: season.months}))
+            : [{season: null, months}];
+        if (monthOrder === 'seasonal') {
+            groups = groups.map(group => ({...group, months: sortByValue(group.months, monthMean)}));
+            groups = sortByValue(groups, group => mean(group.months.flatMap(month =>
+                chronological.map(year => valueOf(year, month)))));
+        }
+        
+        const rowY = new Map();
+        let y = 0;
+        groups.forEach(group => {
+            group.y = y;
+            group.months.forEach(month => {
+                rowY.set(month, y);
+                y += cellHeight + cellSpacing;
+            });
+            group.height = y - group.y - cellSpacing;
+            y += groupSeasons ? seasonGap : 0;
+        });
+        
+        return {
+            years: columns,
+            months: groups.flatMap(group => group.months),
+            groups,
+            width: columns.length * (cellWidth + cellSpacing) - cellSpacing,
+            x: year => columns.indexOf(year) * (cellWidth + cellSpacing),
+            y: month => rowY.get(month),
+            height: y - cellSpacing - (groupSeasons ? seasonGap : 0)
+        };
+    }
+    
+    // Place cells, labels, comparison outlines, season groups and trend rows
+    // at their matrixLayout positions, moving them smoothly when `animate` is
+    // set and the user has not asked for reduced motion. Cells live in the
+    // zoomed grid; labels outside it follow the zoom along their axis and
+    // hide when scrolled out of view.
+    function positionMatrix(animate) {
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        // The canvas redraws at the new positions at once
+        const move = selection => animate && !reduceMotion && !matrixCanvas
+            ? selection.transition().duration(reorderDuration)
+            : selection;
+        const layout = matrixLayout;
+        const t = zoomTransform;
+        const inRange = (position, size, length) => position + size > 0 && position < length;
+        
+        svg.attr("height", layout.height + margin.top + margin.bottom);
+        svg.select(`#${clipId} rect`)
+            .attr("width", layout.width + cellSpacing)
+            .attr("height", layout.height + cellSpacing);
+        g.selectAll(".zoom-background, .matrix-canvas-object")
+            .attr("width", layout.width + cellSpacing)
+            .attr("height", layout.height + cellSpacing);
+        zoomBehavior
+            .extent([[0, 0], [layout.width, layout.height]])
+            .translateExtent([[-cellSpacing / 2, -cellSpacing / 2], [layout.width + cellSpacing / 2, layout.height + cellSpacing / 2]]);
+        
+        move(cells).attr("transform", d => `translate(${layout.x(d.year)},${layout.y(d.month)})`);
+        move(g.selectAll(".year-highlight"))
+            .attr("x", d => layout.x(d) - cellSpacing / 2)
+            .attr("height", layout.height + cellSpacing);
+        move(g.selectAll(".year-label"))
+            .attr("x", d => t.applyX(layout.x(d) + cellWidth / 2));
+        g.selectAll(".year-label")
+            .style("display", d => inRange(t.applyX(layout.x(d)), cellWidth * t.k, layout.width) ? null : "none");
+        const rowY = d => t.applyY(layout.y(d) + cellHeight / 2);
+        const rowDisplay = d => inRange(t.applyY(layout.y(d)), cellHeight * t.k, layout.height) ? null : "none";
+        move(g.selectAll(".month-label, .trend-column .trend-label.month")).attr("y", rowY);
+        g.selectAll(".month-label, .trend-column .trend-label.month").style("display", rowDisplay);
+        move(g.selectAll(".trend-footer")).attr("transform", `translate(0,${layout.height + 18})`);
+        
+        // A rule between season groups, and each season's name beside its rows
+        const groups = groupSeasons ? layout.groups : [];
+        const separators = g.select(".season-separators")
+            .selectAll(".season-separator")
+            .data(groups.slice(1), group => group.season.id)
+            .join(enter => enter.append("line")
+                .attr("class", "season-separator")
+                .attr("x1", -cellSpacing / 2)
+                .attr("y1", group => group.y - (seasonGap + cellSpacing) / 2)
+                .attr("y2", group => group.y - (seasonGap + cellSpacing) / 2));
+        move(separators)
+            .attr("x2", layout.width + cellSpacing / 2)
+            .attr("y1", group => group.y - (seasonGap + cellSpacing) / 2)
+            .attr("y2", group => group.y - (seasonGap + cellSpacing) / 2);
+        
+        const seasonY = group => t.applyY(group.y + group.height / 2);
+        const seasonLabels = g.select(".season-labels")
+            .selectAll(".season-label")
+            .data(groups, group => group.season.id)
+            .join(enter => enter.append("text")
+                .attr("class", "season-label")
+                .attr("x", -44)
+                .attr("y", seasonY)
+                .attr("text-anchor", "end")
+                .attr("dominant-baseline", "middle")
+                .style("font-size", "11px")
+                .style("fill", "#b0b0b0")
+                .text(group => group.season.id));
+        move(seasonLabels).attr("y", seasonY);
+        seasonLabels.style("display", group => inRange(t.applyY(group.y), group.height * t.k, layout.height) ? null : "none");
+        
+        drawMatrixCanvas();
+    }
+    
+    // Mini chart data for a month cell: its days and scales for the chart
+    // area, or null when it has no days
+    function getMiniChart(d) {
+        if (!(d.key in miniChartCache)) {
+            const cellDaily = dailyLookup[d.key] || [];
+            miniChartCache[d.key] = cellDaily.length === 0 ? null : {
+                days: cellDaily,
+                xScale: d3.scaleLinear()
+                    .domain([1, d3.max(cellDaily, day => day.day)])
+                    .range([0, chartWidth]),
+                // Combined domain for both max and min temperatures
+                yScale: d3.scaleLinear()
+                    .domain(d3.extent(cellDaily.flatMap(day => [day.max_temperature, day.min_temperature])))
+                    .range([chartHeight, 0])
+            };
+        }
+        return miniChartCache[d.key];
+    }
+    
+    // Event days among a cell's days, one entry per day and event
+    function getEventMarks(cellDaily) {
+        return cellDaily.flatMap(day =>
+            (eventDays[formatDate(day.date)] || []).map(event => ({day, event})));
+    }
+    
+    // Canvas for the canvas renderer, in a foreignObject under the grid so it
+    // shares the viewport's clip and pan and zoom gestures. Returns null when
+    // the browser cannot draw on a canvas, and the SVG renderer is used instead.
+    function createMatrixCanvas(viewport) {
+        const probe = document.createElement("canvas");
+        if (!probe.getContext || !probe.getContext("2d")) return null;
+        
+        const canvasObject = viewport.insert("foreignObject", ".matrix-grid")
+            .attr("class", "matrix-canvas-object")
+            .attr("x", -cellSpacing / 2)
+            .attr("y", -cellSpacing / 2);
+        return canvasObject.append("xhtml:canvas")
+            .attr("class", "matrix-canvas")
+            .attr("aria-hidden", "true");
+    }
+    
+    // The month cell under a pointer event on the canvas, or null over a gap
+    function getCellAtPointer(event) {
+        const [x, y] = d3.pointer(event, g.select(".matrix-grid").node());
+        const column = Math.floor(x / (cellWidth + cellSpacing));
+        const year = matrixLayout.years[column];
+        const month = matrixLayout.months.find(m => y >= matrixLayout.y(m) && y <= matrixLayout.y(m) + cellHeight);
+        if (year === undefined || month === undefined || x - matrixLayout.x(year) > cellWidth) return null;
+        const cell = findCell(`${year}-${month}`);
+        return cell.empty() ? null : cell.datum();
+    }
+    
+    // Hover for the canvas renderer, matching the SVG cells' mouseover and mouseout
+    function setHoveredCell(d, event) {
+        const key = d ? d.key : null;
+        if (key === hoveredKey) return;
+        hoveredKey = key;
+        if (d) {
+            emit('hover', getCellInfo(d));
+            showTooltip(event, d);
+        } else {
+            emit('hover', null);
+            hideTooltip();
+        }
+        matrixCanvas.style("cursor", d ? "pointer" : null);
+        drawMatrixCanvas();
+    }
+    
+    // Paint the visible cells, their coverage hatching and mini charts at the
+    // current zoom. Dimmed cells are read from the overlay's classes.
+    function drawMatrixCanvas() {
+        if (!matrixCanvas) return;
+        const node = matrixCanvas.node();
+        const width = matrixLayout.width + cellSpacing;
+        const height = matrixLayout.height + cellSpacing;
+        const ratio = window.devicePixelRatio || 1;
+        node.width = Math.round(width * ratio);
+        node.height = Math.round(height * ratio);
+        node.style.width = `${width}px`;
+        node.style.height = `${height}px`;
+        
+        const context = node.getContext("2d");
+        const t = zoomTransform;
+        // Same coordinates as the grid: offset by the clip's margin, then zoomed
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.translate(cellSpacing / 2 + t.x, cellSpacing / 2 + t.y);
+        context.scale(t.k, t.k);
+        
+        const showCharts = cellWidth * t.k >= minChartCellWidth;
+        const hatch = context.createPattern(getHatchTile(), "repeat");
+        cells.each(function(d) {
+            const x = matrixLayout.x(d.year);
+            const y = matrixLayout.y(d.month);
+            const [left, top] = t.apply([x, y]);
+            if (left > width || top > height || left + cellWidth * t.k < 0 || top + cellHeight * t.k < 0) return;
+            
+            context.save();
+            context.translate(x, y);
+            if (this.classList.contains("dimmed")) context.globalAlpha = 0.2;
+            
+            roundedRect(context, cellWidth, cellHeight, 6);
+            context.fillStyle = getCellFill(d);
+            context.fill();
+            if (isIncomplete(d) && hatch) {
+                context.fillStyle = hatch;
+                context.fill();
+            }
+            // Strokes keep their screen width, as with non-scaling SVG strokes
+            const hovered = d.key === hoveredKey;
+            context.lineWidth = (hovered ? 2.5 : 1) / t.k;
+            context.strokeStyle = hovered ? "#808080" : isIncomplete(d) ? "#b0b0b0" : "#404040";
+            context.setLineDash(isIncomplete(d) ? [4 / t.k, 3 / t.k] : []);
+            context.stroke();
+            context.setLineDash([]);
+            
+            const chart = showCharts && d.data ? getMiniChart(d) : null;
+            if (chart) drawCanvasMiniChart(context, d, chart, t.k);
+            context.restore();
+        });
+    }
+    
+    function drawCanvasMiniChart(context, d, {days, xScale, yScale}, k) {
+        const baseColor = getCellFill(d);
+        context.save();
+        context.translate(chartMargin, chartMargin);
+        const line = d3.line()
+            .x(day => xScale(day.day))
+            .curve(d3.curveMonotoneX)
+            .context(context);
+        [['min_temperature', false], ['max_temperature', true]].forEach(([field, isMax]) => {
+            context.beginPath();
+            line.y(day => yScale(day[field]))(days);
+            context.strokeStyle = getLineColor(baseColor, isMax);
+            context.lineWidth = 1.5 / k;
+            context.stroke();
+        });
+        
+        if (showEvents) {
+            getEventMarks(days).forEach(({day, event}) => {
+                context.beginPath();
+                context.arc(xScale(day.day), yScale(day[eventTypes[event.type].field]), 2.5, 0, 2 * Math.PI);
+                context.fillStyle = eventTypes[event.type].color;
+                context.fill();
+                context.lineWidth = 0.5;
+                context.strokeStyle = "#1a1a1a";
+                context.stroke();
+            });
+        }
+        context.restore();
+    }
+    
+    // 6px tile of the diagonal hatching used for incomplete months
+    function getHatchTile() {
+        const tile = document.createElement("canvas");
+        tile.width = 6;
+        tile.height = 6;
+        const context = tile.getContext("2d");
+        context.strokeStyle = "rgba(0, 0, 0, 0.35)";
+        context.lineWidth = 2;
+        context.beginPath();
+        context.moveTo(0, 6);
+        context.lineTo(6, 0);
+        context.stroke();
+        return tile;
+    }
+    
+    function roundedRect(context, width, height, radius) {
+        context.beginPath();
+        context.moveTo(radius, 0);
+        context.arcTo(width, 0, width, height, radius);
+        context.arcTo(width, height, 0, height, radius);
+        context.arcTo(0, height, 0, 0, radius);
+        context.arcTo(0, 0, width, 0, radius);
+        context.closePath();
+    }
+    
+    // Move the matrix to the current sort settings, animated if they give a
+    // new order. Cells are also reordered in the document so Tab follows the display.
+    function updateMatrixOrder() {
+        if (currentView !== 'matrix' || !cells) return;
+        const previous = matrixLayout;
+        matrixLayout = computeMatrixLayout(previous.years);
+        const unchanged = matrixLayout.years.join() === previous.years.join() &&
+            matrixLayout.months.join() === previous.months.join() &&
+            matrixLayout.groups.length === previous.groups.length;
+        if (unchanged) {
+            // Redrawn trend rows still need placing for the zoom
+            positionMatrix(false);
+            return;
+        }
+        
+        const {years: columns, months: rows} = matrixLayout;
+        const focused = document.activeElement;
+        cells = cells.sort((a, b) =>
+            (columns.indexOf(a.year) - columns.indexOf(b.year)) || (rows.indexOf(a.month) - rows.indexOf(b.month)));
+        cellElements = cells.nodes();
+        // Moving a focused cell in the document can drop its focus
+        if (cellElements.includes(focused) && document.activeElement !== focused) focused.focus();
+        
+        svg.attr("aria-label", getMatrixLabel());
+        positionMatrix(true);
+    }
+    
+    function getMatrixLabel() {
+        return `Temperature matrix showing ${matrixLayout.years.length} years (${startYear} to ${endYear}) and 12 months. Years ordered ${describeYearOrder()}. Months ordered ${describeMonthOrder()}. Use Tab to navigate, Enter to open a month's daily detail chart, Shift with arrow keys or Enter to select several months, Escape to clear the selection.`;
+    }
+    
+    function describeYearOrder() {
+        const value = `${metrics[currentMetric].label.toLowerCase()}${reference ? ` difference from ${reference.name}` : anomalyMode ? ' anomaly' : ''}`;
+        if (yearOrder === 'annual') return `by annual mean ${value}, highest first`;
+        if (yearOrder === 'month') return `by ${monthNames[orderMonth - 1]} ${value}, highest first`;
+        return 'chronologically';
+    }
+    
+    function describeMonthOrder() {
+        const order = monthOrder === 'seasonal' ? 'by mean over the years, highest first' : 'by calendar';
+        return groupSeasons ? `${order}, grouped by season` : order;
+    }
+    
+    // Calendar heatmap: one square per day, with a row of weeks for each year
+    // (Jan 1 starts a new row). Returns the SVG width.
+    function drawCalendar(years) {
+        const step = daySize + daySpacing;
+        const yearHeight = 7 * step + yearGap;
+        const width = 53 * step - daySpacing + margin.left + margin.right;
+        // Short ranges still need room for the legend beside them
+        const height = Math.max(years.length * yearHeight - yearGap, 260) + margin.top + margin.bottom;
+        const metric = metrics[currentMetric];
+        
+        svg = appendMatrixLayout()
+            .append("svg")
+            .attr("width", width)
+            .attr("height", height)
+            .attr("role", "img")
+            .attr("aria-label", `Calendar heatmap of daily temperatures for every day from ${startYear} to ${endYear}. Use Tab to reach the calendar, arrow keys to move between days and Enter to open a month's daily detail chart.`);
+        
+        g = svg.append("g")
+            .attr("transform", `translate(${margin.left},${margin.top})`);
+        
+        const dayData = years.flatMap(year =>
+            d3.timeDays(new Date(year, 0, 1), new Date(year + 1, 0, 1)).map(date => {
+                const key = formatDate(date);
+                return {
+                    key,
+                    date,
+                    year,
+                    month: date.getMonth() + 1,
+                    day: date.getDate(),
+                    record: dayLookup[key] || null
+                };
+            })
+        );
+        const dayIndex = new Map(dayData.map((d, i) => [d.key, i]));
+        
+        cells = g.selectAll(".day-cell")
+            .data(dayData)
+            .enter()
+            .append("g")
+            .attr("class", "cell day-cell")
+            .attr("transform", d => `translate(${d3.timeWeek.count(d3.timeYear(d.date), d.date) * step},${years.indexOf(d.year) * yearHeight + d.date.getDay() * step})`)
+            .attr("tabindex", "-1")
+            .attr("role", "button")
+            .attr("aria-label", getCellAriaLabel);
+        
+        cellElements = cells.nodes();
+        
+        cells.append("rect")
+            .attr("width", daySize)
+            .attr("height", daySize)
+            .attr("rx", 2)
+            .attr("ry", 2)
+            .attr("fill", getCellFill)
+            .attr("stroke", "#404040")
+            .attr("stroke-width", 0.5)
+            .style("cursor", "pointer");
+        
+        // Outline event days in the color of their (first) event
+        if (showEvents) {
+            cells.filter(d => eventDays[d.key])
+                .select("rect")
+                .attr("stroke", d => eventTypes[eventDays[d.key][0].type].color)
+                .attr("stroke-width", 1.5);
+        }
+        
+        // Roving tabindex: the calendar is a single tab stop and arrow keys move
+        // between days, rather than thousands of tab stops (WCAG 2.1.1)
+        let rovingCell = cellElements[Math.max(0, dayData.findIndex(d => d.record))];
+        rovingCell.setAttribute("tabindex", "0");
+        
+        // Click handler - opens the daily detail panel for the day's month
+        cells.on("click", function(event, d) {
+            event.stopPropagation();
+            selectCell(d, this);
+        });
+        
+        // Keyboard navigation: up/down move one day, left/right one week,
+        // Page Up/Down one year and Home/End to the ends of the year
+        cells.on("keydown", function(event, d) {
+            const currentIndex = dayIndex.get(d.key);
+            let newIndex;
+            
+            switch(event.key) {
+                case 'Enter':
+                case ' ':
+                    event.preventDefault();
+                    selectCell(d, this);
+                    return;
+                case 'ArrowDown':
+                    newIndex = currentIndex + 1;
+                    break;
+                case 'ArrowUp':
+                    newIndex = currentIndex - 1;
+                    break;
+                case 'ArrowRight':
+                    newIndex = currentIndex + 7;
+                    break;
+                case 'ArrowLeft':
+                    newIndex = currentIndex - 7;
+                    break;
+                case 'PageDown':
+                case 'PageUp': {
+                    // Same date in the next or previous year; Feb 29 falls back to Feb 28
+                    const year = d.year + (event.key === 'PageDown' ? 1 : -1);
+                    const day = Math.min(d.day, daysInMonth(year, d.month));
+                    newIndex = dayIndex.get(formatDate(new Date(year, d.month - 1, day)));
+                    break;
+                }
+                case 'Home':
+                    newIndex = dayIndex.get(`${d.year}-01-01`);
+                    break;
+                case 'End':
+                    newIndex = dayIndex.get(`${d.year}-12-31`);
+                    break;
+                case 'p':
+                case 'P':
+                    event.preventDefault();
+                    toggleSonification(monthItem(d.year, d.month));
+                    return;
+                default:
+                    return;
+            }
+            
+            event.preventDefault();
+            if (newIndex !== undefined && newIndex >= 0 && newIndex < cellElements.length) {
+                cellElements[newIndex].focus();
+            }
+        });
+        
+        // Mouse hover and focus with tooltip
+        cells.on("mouseover", function(event, d) {
+            emit('hover', getCellInfo(d));
+            showTooltip(event, d);
+        })
+        .on("focus", function(event, d) {
+            if (rovingCell !== this) {
+                rovingCell.setAttribute("tabindex", "-1");
+                this.setAttribute("tabindex", "0");
+                rovingCell = this;
+            }
+            focusedCellKey = d.key;
+            emit('focus', getCellInfo(d));
+            showTooltip(event, d);
+            highlightMonth(d.month);
+        })
+        .on("blur", () => highlightMonth(null))
+        .on("mouseout", function() {
+            emit('hover', null);
+            hideTooltip();
+        });
+        
+        // Year labels, one per row of weeks
+        g.selectAll(".year-label")
+            .data(years)
+            .enter()
+            .append("text")
+            .attr("class", "year-label")
+            .attr("x", -10)
+            .attr("y", d => years.indexOf(d) * yearHeight + 3.5 * step)
+            .attr("text-anchor", "end")
+            .attr("dominant-baseline", "middle")
+            .style("font-size", "12px")
+            .style("font-weight", "bold")
+            .style("fill", "#e0e0e0")
+            .attr("aria-hidden", "true")
+            .text(d => d);
+        
+        // Month labels above the first row; months start within a week of
+        // the same column in every year
+        g.selectAll(".month-label")
+            .data(months)
+            .enter()
+            .append("text")
+            .attr("class", "month-label")
+            .attr("x", d => d3.timeWeek.count(new Date(years[0], 0, 1), new Date(years[0], d - 1, 1)) * step)
+            .attr("y", -10)
+            .attr("text-anchor", "start")
+            .style("font-size", "12px")
+            .style("font-weight", "bold")
+            .style("fill", "#e0e0e0")
+            .attr("aria-hidden", "true")
+            .text(d => monthNames[d - 1])
+            .on("mouseenter", (event, d) => highlightMonth(d))
+            .on("mouseleave", () => highlightMonth(null));
+        
+        return width;
+    }
+    
+    function updateVisualization() {
+        if (!cells) return;
+        
+        // Update cell background colors for the current metric (the canvas
+        // renderer repaints when the order is updated below)
+        if (!matrixCanvas) {
+            cells.select("rect")
+                .attr("fill", getCellFill);
+        }
+        
+        // Update ARIA labels
+        cells.attr("aria-label", getCellAriaLabel);
+        
+        // Mini chart shapes don't depend on the metric, only their colors do
+        cells.select(".mini-chart").each(function(d) {
+            const baseColor = getCellFill(d);
+            d3.select(this).select(".min-line").attr("stroke", getLineColor(baseColor, false));
+            d3.select(this).select(".max-line").attr("stroke", getLineColor(baseColor, true));
+        });
+        
+        // Redraw legend for the new color domain
+        svg.select(".legend").remove();
+        svg.select(".legend-defs").remove();
+        createLegend(+svg.attr("width"));
+        updateTrendColumn();
+        updateMatrixOrder();
+        updateZoomDetail();
+        drawSelectionPanel();
+        updateComparison();
+        drawEventPanel();
+        drawDataTable();
+        drawDistributionPanel();
+    }
+    
+    function showTooltip(event, d) {
+        if (d.date) {
+            showDayTooltip(event, d);
+            return;
+        }
+        
+        const date = `${monthNames[d.month - 1]} ${d.year}`;
+        
+        // Empty cells explain why there is no data
+        if (!d.data) {
+            tooltip
+                .attr("aria-hidden", "false")
+                .style("opacity", 1)
+                .html(`
+                    <strong>${date}</strong>
+                    <div style="margin-top: 8px; color: #b0b0b0;">No data: ${getNoDataReason(d)}</div>
+                `)
+                .style("left", (event.pageX + 15) + "px")
+                .style("top", (event.pageY - 10) + "px");
+            return;
+        }
+        
+        const cellDaily = dailyLookup[d.key] || [];
+        const dailyCount = cellDaily.length;
+        const value = getMetricValue(d);
+        
+        const isDifference = !!metrics[currentMetric].isDifference;
+        const anomalyHtml = getAnomalyHtml(d, isDifference);
+        const {highest, lowest} = summarizeMonth(cellDaily);
+        const coverageHtml = isIncomplete(d)
+            ? `${d.data.days} of ${d.data.expectedDays} days of data (incomplete month${excludeIncomplete ? ', not used for the color scale' : ''})`
+            : `${dailyCount} days of data`;
+        const cellEvents = showEvents ? getCellEvents(d) : [];
+        const eventHtml = cellEvents.length === 0 ? '' : `<br/>
+                        Events: ${d3.rollups(cellEvents, list => list.length, event => eventTypes[event.type].label.toLowerCase())
+                            .map(([label, count]) => count > 1 ? `${label} ×${count}` : label).join(', ')}`;
+        const monthTrend = trends.monthly[d.month];
+        const trendHtml = !showTrends ? '' : `<br/>
+                        Trend ${startYear}–${endYear}: ${formatTrend(monthTrend)}/decade${monthTrend && monthTrend.pValue !== undefined ? ` (${formatPValue(monthTrend.pValue)})` : ''}`;
+        
+        tooltip
+            .attr("aria-hidden", "false")
+            .style("opacity", 1)
+            .html(`
+                <strong>${date}</strong>
+                <div style="margin-top: 8px;">
+                    <div style="margin-bottom: 4px;">${metrics[currentMetric].label}: <strong>${formatTemperature(value, isDifference)}</strong></div>${anomalyHtml}
+                    <div style="font-size: 0.9em; color: #b0b0b0;">
+                        Range: ${formatTemperature(lowest)} - ${formatTemperature(highest)}<br/>
+                        Mean max / min: ${formatTemperature(d.data.max_temp_mean)} / ${formatTemperature(d.data.min_temp_mean)}<br/>
+                        ${coverageHtml}${trendHtml}${eventHtml}
+                    </div>
+                </div>
+            `)
+            .style("left", (event.pageX + 15) + "px")
+            .style("top", (event.pageY - 10) + "px");
+    }
+    
+    function showDayTooltip(event, d) {
+        const date = d3.timeFormat("%a %-d %b %Y")(d.date);
+        let body;
+        if (!d.record) {
+            body = `<div style="margin-top: 8px; color: #b0b0b0;">No data: ${getNoDataReason(d)}</div>`;
+        } else {
+            const metric = metrics[currentMetric];
+            const isDifference = !!metric.isDifference;
+            body = `
+                <div style="margin-top: 8px;">
+                    <div style="margin-bottom: 4px;">${metric.dailyLabel}: <strong>${formatTemperature(getMetricValue(d), isDifference)}</strong></div>${getAnomalyHtml(d, isDifference)}
+                    <div style="font-size: 0.9em; color: #b0b0b0;">
+                        Max / min: ${formatTemperature(d.record.max_temperature)} / ${formatTemperature(d.record.min_temperature)}
+                    </div>
+                </div>`;
+        }
+        
+        tooltip
+            .attr("aria-hidden", "false")
+            .style("opacity", 1)
+            .html(`
+                <strong>${date}</strong>${body}
+            `)
+            .style("left", (event.pageX + 15) + "px")
+            .style("top", (event.pageY - 10) + "px");
+    }
+    
+    // Baseline and anomaly lines for a tooltip, or the reference station's
+    // value and the difference in difference mode
+    function getAnomalyHtml(d, isDifference) {
+        if (reference) {
+            const difference = getCellValue(d);
+            return `
+                    <div style="margin-bottom: 4px;">${reference.name}: ${formatTemperature(getReferenceValue(d), isDifference)}</div>
+                    <div style="margin-bottom: 4px;">Difference: <strong>${difference === null ? 'N/A' : formatAnomaly(toDisplayUnit(difference, true)) + units[currentUnit].symbol}</strong></div>`;
+        }
+        if (!anomalyMode) return '';
+        const anomaly = getCellValue(d);
+        const anomalyText = anomaly === null ? 'N/A' : formatAnomaly(toDisplayUnit(anomaly, true)) + units[currentUnit].symbol;
+        return `
+                    <div style="margin-bottom: 4px;">Baseline (${getBaselineLabel()}): ${formatTemperature(baselineLookup[d.month], isDifference)}</div>
+                    <div style="margin-bottom: 4px;">Anomaly: <strong>${anomalyText}</strong></div>`;
+    }
+    
+    function hideTooltip() {
+        tooltip
+            .attr("aria-hidden", "true")
+            .style("opacity", 0);
+    }
+    
+    // Open the detail panel with a full-size daily chart for one month
+    function openDetailPanel(d, triggerCell) {
+        const cellDaily = dailyLookup[d.key] || [];
+        if (cellDaily.length === 0) return;
+        
+        if (!options.detailPanel) return;
+        if (!detailPanel) createDetailPanel();
+        
+        hideTooltip();
+        detailTriggerCell = triggerCell;
+        
+        const title = `${monthNames[d.month - 1]} ${d.year} – Daily Temperatures`;
+        detailPanel.select(".detail-title").text(title);
+        
+        const {highest, lowest} = summarizeMonth(cellDaily);
+        detailPanel.select(".detail-summary").text(
+            `${isIncomplete(d) ? `Incomplete month: ${getCoverageText(d)}` : `${cellDaily.length} days of data`}. Daily maximum ranged up to ${formatTemperature(highest)} and daily minimum down to ${formatTemperature(lowest)}. ` +
+            `Faint lines show ${monthNames[d.month - 1]} in other years. Use the Left and Right arrow keys on the chart to read individual days.`);
+        
+        drawDetailChart(d, cellDaily);
+        
+        detailPanel.property("hidden", false);
+        detailCellKey = d.key;
+        emit('detailopen', getCellInfo(d));
+        detailPanel.select(".detail-close").node().focus();
+        announce(`Opened daily detail chart for ${monthNames[d.month - 1]} ${d.year}`);
+    }
+    
+    function closeDetailPanel() {
+        if (!detailPanel || detailPanel.property("hidden")) return;
+        
+        detailPanel.property("hidden", true);
+        detailPanel.select(".detail-chart").selectAll("*").remove();
+        const closedKey = detailCellKey;
+        detailCellKey = null;
+        emit('detailclose', {key: closedKey});
+        if (detailTriggerCell && document.body.contains(detailTriggerCell)) {
+            detailTriggerCell.focus();
+        } else if (currentView === 'matrix') {
+            // The matrix was redrawn while the panel was open
+            focusCell(closedKey);
+        }
+        detailTriggerCell = null;
+    }
+    
+    // Copy of a Celsius linear scale with its domain in the display unit, for axes.
+    // The mapping is linear, so pixel positions are unchanged.
+    function displayScale(scale, isDifference = false) {
+        return d3.scaleLinear()
+            .domain(scale.domain().map(v => toDisplayUnit(v, isDifference)))
+            .range(scale.range());
+    }
+    
+    function drawDetailChart(d, cellDaily) {
+        const container = detailPanel.select(".detail-chart");
+        container.selectAll("*").remove();
+        
+        const innerWidth = detailWidth - detailMargin.left - detailMargin.right;
+        const innerHeight = detailHeight - detailMargin.top - detailMargin.bottom;
+        
+        // Same calendar month in every other year of the dataset, for comparison
+        const comparisons = Object.values(fullDailyLookup)
+            .filter(days => days[0].month === d.month && days[0].year !== d.year);
+        
+        const allTemps = [cellDaily, ...comparisons].flatMap(days =>
+            days.flatMap(day => [day.max_temperature, day.min_temperature]));
+        
+        const xScale = d3.scaleLinear()
+            .domain([1, 31])
+            .range([0, innerWidth]);
+        
+        const yScale = d3.scaleLinear()
+            .domain(d3.extent(allTemps))
+            .nice()
+            .range([innerHeight, 0]);
+        
+        const chartSvg = container.append("svg")
+            .attr("viewBox", `0 0 ${detailWidth} ${detailHeight}`)
+            .attr("width", "100%")
+            .attr("role", "img")
+            .attr("aria-label", `Line chart of daily maximum and minimum temperatures for ${monthNames[d.month - 1]} ${d.year}`);
+        
+        const chartG = chartSvg.append("g")
+            .attr("transform", `translate(${detailMargin.left},${detailMargin.top})`);
+        
+        // Axes
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .attr("transform", `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale).ticks(10).tickFormat(d3.format("d")));
+        
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .call(d3.axisLeft(displayScale(yScale)).ticks(6).tickFormat(t => t + units[currentUnit].symbol));
+        
+        chartG.append("text")
+            .attr("x", innerWidth / 2)
+            .attr("y", innerHeight + 34)
+            .attr("text-anchor", "middle")
+            .style("font-size", "12px")
+            .style("fill", "#b0b0b0")
+            .text("Day of month");
+        
+        const maxLine = d3.line()
+            .x(day => xScale(day.day))
+            .y(day => yScale(day.max_temperature))
+            .curve(d3.curveMonotoneX);
+        
+        const minLine = d3.line()
+            .x(day => xScale(day.day))
+            .y(day => yScale(day.min_temperature))
+            .curve(d3.curveMonotoneX);
+        
+        // Faint comparison lines for the same month in other years
+        const comparisonG = chartG.append("g")
+            .attr("class", "comparison-lines")
+            .attr("aria-hidden", "true");
+        comparisons.forEach(days => {
+            comparisonG.append("path").datum(days).attr("d", maxLine);
+            comparisonG.append("path").datum(days).attr("d", minLine);
+        });
+        
+        // Shaded band between daily max and min
+        const band = d3.area()
+            .x(day => xScale(day.day))
+            .y0(day => yScale(day.min_temperature))
+            .y1(day => yScale(day.max_temperature))
+            .curve(d3.curveMonotoneX);
+        
+        chartG.append("path")
+            .datum(cellDaily)
+            .attr("class", "detail-band")
+            .attr("d", band);
+        
+        chartG.append("path")
+            .datum(cellDaily)
+            .attr("class", "detail-max-line")
+            .attr("d", maxLine);
+        
+        chartG.append("path")
+            .datum(cellDaily)
+            .attr("class", "detail-min-line")
+            .attr("d", minLine);
+        
+        // Crosshair showing exact values for the hovered day
+        const crosshair = chartG.append("g")
+            .attr("class", "detail-crosshair")
+            .style("display", "none");
+        crosshair.append("line")
+            .attr("y1", 0)
+            .attr("y2", innerHeight);
+        const maxDot = crosshair.append("circle").attr("r", 4).attr("class", "detail-max-dot");
+        const minDot = crosshair.append("circle").attr("r", 4).attr("class", "detail-min-dot");
+        
+        const readout = detailPanel.select(".detail-readout").node();
+        readout.textContent = '';
+        const bisect = d3.bisector(day => day.day).center;
+        let activeIndex = -1;
+        
+        function showDay(index) {
+            activeIndex = index;
+            const day = cellDaily[index];
+            const x = xScale(day.day);
+            crosshair.style("display", null);
+            crosshair.select("line").attr("x1", x).attr("x2", x);
+            maxDot.attr("cx", x).attr("cy", yScale(day.max_temperature));
+            minDot.attr("cx", x).attr("cy", yScale(day.min_temperature));
+            readout.textContent = `${monthNames[d.month - 1]} ${day.day}, ${d.year}: max ${formatTemperature(day.max_temperature)}, min ${formatTemperature(day.min_temperature)}`;
+        }
+        
+        chartG.append("rect")
+            .attr("class", "detail-overlay")
+            .attr("width", innerWidth)
+            .attr("height", innerHeight)
+            .on("mousemove", function(event) {
+                const [mx] = d3.pointer(event);
+                showDay(bisect(cellDaily, xScale.invert(mx)));
+            })
+            .on("mouseleave", function() {
+                crosshair.style("display", "none");
+            });
+        
+        // Keyboard access to the crosshair
+        chartSvg
+            .attr("tabindex", "0")
+            .on("keydown", function(event) {
+                if (event.key === 'ArrowRight' || event.key === 'ArrowLeft') {
+                    event.preventDefault();
+                    const step = event.key === 'ArrowRight' ? 1 : -1;
+                    const start = activeIndex < 0 ? 0 : activeIndex + step;
+                    showDay(Math.max(0, Math.min(cellDaily.length - 1, start)));
+                }
+            });
+    }
+    
+    // Serialize the current matrix as a standalone SVG with computed styles inlined
+    function serializeMatrixSvg() {
+        const source = svg.node();
+        const clone = source.cloneNode(true);
+        
+        // Walk original and clone together so computed styles map onto the copy
+        const sourceNodes = [source, ...source.querySelectorAll('*')];
+        const cloneNodes = [clone, ...clone.querySelectorAll('*')];
+        sourceNodes.forEach((node, i) => {
+            const computed = window.getComputedStyle(node);
+            const target = cloneNodes[i];
+            exportStyleProperties.forEach(prop => {
+                const value = computed.getPropertyValue(prop);
+                if (value) target.style.setProperty(prop, value);
+            });
+            // Interactive-only attributes have no meaning in a static file
+            target.removeAttribute('tabindex');
+        });
+        
+        // Canvas cells go into the file as an image in place of the foreignObject
+        const canvasObject = clone.querySelector('.matrix-canvas-object');
+        if (canvasObject && matrixCanvas) {
+            const image = document.createElementNS('http://www.w3.org/2000/svg', 'image');
+            ['x', 'y', 'width', 'height'].forEach(name => image.setAttribute(name, canvasObject.getAttribute(name)));
+            image.setAttribute('href', matrixCanvas.node().toDataURL('image/png'));
+            canvasObject.replaceWith(image);
+        }
+        
+        clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        clone.setAttribute('xmlns:xlink', 'http://www.w3.org/1999/xlink');
+        
+        // Solid background, since the page background is not part of the SVG
+        const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        background.setAttribute('width', '100%');
+        background.setAttribute('height', '100%');
+        background.setAttribute('fill', exportBackground);
+        clone.insertBefore(background, clone.firstChild);
+        
+        return new XMLSerializer().serializeToString(clone);
+    }
+    
+    // Per-cell aggregated values for the current metric and year range, or
+    // one row per recorded day in the calendar view
+    function buildExportCsv() {
+        const isDifference = !!metrics[currentMetric].isDifference;
+        const convert = (v, diff) => v === null || v === undefined ? '' : toDisplayUnit(v, diff).toFixed(2);
+        const addSignedColumns = (row, d) => {
+            if (reference) {
+                row.reference_station = reference.name;
+                row.reference = convert(getReferenceValue(d), isDifference);
+                row.difference = convert(getCellValue(d), true);
+            } else if (anomalyMode) {
+                row.baseline = convert(baselineLookup[d.month], isDifference);
+                row.anomaly = convert(getCellValue(d), true);
+            }
+        };
+        if (currentView === 'calendar') {
+            return d3.csvFormat(cells.data().filter(d => d.record).map(d => {
+                const row = {
+                    date: d.key,
+                    max_temperature: convert(d.record.max_temperature),
+                    min_temperature: convert(d.record.min_temperature),
+                    [`${currentMetric}_daily`]: convert(getMetricValue(d), isDifference),
+                    unit: currentUnit
+                };
+                addSignedColumns(row, d);
+                return row;
+            }));
+        }
+        const rows = cells.data().map(d => {
+            const row = {
+                year: d.year,
+                month: d.month,
+                month_name: monthNames[d.month - 1],
+                [currentMetric]: convert(getMetricValue(d), isDifference),
+                unit: currentUnit,
+                days: (dailyLookup[d.key] || []).length,
+                expected_days: daysInMonth(d.year, d.month)
+            };
+            addSignedColumns(row, d);
+            return row;
+        });
+        return d3.csvFormat(rows);
+    }
+    
+    // Fill the trend column: one slope per month row and the annual trend below
+    function updateTrendColumn() {
+        const column = g ? g.select(".trend-column") : d3.select(null);
+        if (column.empty()) return;
+        column.selectAll("*").remove();
+        const subject = reference ? ` of the difference from ${reference.name}` : '';
+        column.attr("aria-label", `Trends per decade${subject} for ${startYear} to ${endYear}. ${getTrendText(trends.annual, 'Annual')}`);
+        
+        const symbol = units[currentUnit].symbol;
+        const styleTrend = (text, trend) => text
+            .style("font-size", "12px")
+            .style("font-weight", isSignificant(trend) ? "bold" : "normal")
+            .style("fill", isSignificant(trend) ? "#ffffff" : "#b0b0b0");
+        
+        column.append("text")
+            .attr("class", "trend-header")
+            .attr("y", -10)
+            .style("font-size", "12px")
+            .style("font-weight", "bold")
+            .style("fill", "#e0e0e0")
+            .attr("aria-hidden", "true")
+            .text(`Trend (${symbol}/decade)`);
+        
+        // Rows follow the matrix order
+        months.forEach(month => {
+            column.append("text")
+                .datum(month)
+                .attr("class", "trend-label month")
+                .attr("y", matrixLayout.y(month) + cellHeight / 2)
+                .attr("dominant-baseline", "middle")
+                .attr("aria-hidden", "true")
+                .text(formatTrend(trends.monthly[month]))
+                .call(styleTrend, trends.monthly[month]);
+        });
+        
+        const footer = column.append("g")
+            .attr("class", "trend-footer")
+            .attr("transform", `translate(0,${matrixLayout.height + 18})`);
+        footer.append("text")
+            .attr("class", "trend-label annual")
+            .attr("aria-hidden", "true")
+            .text(`Annual: ${formatTrend(trends.annual)}`)
+            .call(styleTrend, trends.annual);
+        footer.append("text")
+            .attr("class", "trend-note")
+            .attr("y", 18)
+            .style("font-size", "11px")
+            .style("fill", "#b0b0b0")
+            .attr("aria-hidden", "true")
+            .text(`* p < ${significanceLevel} (Mann-Kendall)`);
+    }
+    
+    function isSignificant(trend) {
+        return !!trend && trend.pValue !== undefined && trend.pValue < significanceLevel;
+    }
+    
+    // Short trend label, e.g. "+0.23°C*"; a dash when there is too little data
+    function formatTrend(trend) {
+        if (!trend || trend.slope === undefined) return '–';
+        return d3.format("+.2f")(toDisplayUnit(trend.slope, true)) + units[currentUnit].symbol + (isSignificant(trend) ? '*' : '');
+    }
+    
+    function formatPValue(pValue) {
+        return pValue < 0.001 ? 'p < 0.001' : `p = ${pValue.toFixed(3)}`;
+    }
+    
+    // Sentence describing a trend for tooltips and screen readers
+    function getTrendText(trend, name) {
+        if (!trend || trend.slope === undefined) return `${name} trend: not enough data.`;
+        const slope = toDisplayUnit(trend.slope, true);
+        const direction = slope >= 0 ? 'rising' : 'falling';
+        const significance = trend.pValue === undefined
+            ? 'significance unknown'
+            : `${isSignificant(trend) ? 'statistically significant' : 'not statistically significant'}, ${formatPValue(trend.pValue)}`;
+        const subject = reference ? ` of the difference from ${reference.name}` : '';
+        return `${name} trend${subject} ${startYear}–${endYear}: ${direction} ${Math.abs(slope).toFixed(2)} ${units[currentUnit].name} per decade (${significance}).`;
+    }
+    
+    // Matrix cells in the rectangle spanned by two cells, as displayed
+    function getCellsBetween(a, b) {
+        const {years: columns, months: rows} = matrixLayout;
+        const [firstColumn, lastColumn] = d3.extent([columns.indexOf(a.year), columns.indexOf(b.year)]);
+        const [firstRow, lastRow] = d3.extent([rows.indexOf(a.month), rows.indexOf(b.month)]);
+        return columns.slice(firstColumn, lastColumn + 1).flatMap(year =>
+            rows.slice(firstRow, lastRow + 1).map(month => `${year}-${month}`));
+    }
+    
+    // Replace the selection with the given cell keys. The summary panel is
+    // redrawn unless `redrawPanel` is false (while brushing).
+    function setSelection(keys, redrawPanel = true) {
+        selectedKeys = new Set(keys.filter(key => !findCell(key).empty()));
+        if (selectedKeys.size === 0) selectionAnchor = null;
+        updateSelection(redrawPanel);
+        emit('selectionchange', getSelectionSummary());
+    }
+    
+    function toggleCellSelection(d) {
+        const keys = new Set(selectedKeys);
+        if (keys.has(d.key)) {
+            keys.delete(d.key);
+        } else {
+            keys.add(d.key);
+        }
+        selectionAnchor = d;
+        setSelection([...keys]);
+        announceSelection();
+    }
+    
+    function clearSelection() {
+        if (selectedKeys.size === 0) return;
+        setSelection([]);
+        announce('Selection cleared');
+    }
+    
+    function updateSelection(redrawPanel = true) {
+        if (cells && currentView === 'matrix') {
+            cells.classed("selected", d => selectedKeys.has(d.key))
+                .attr("aria-label", getCellAriaLabel);
+        }
+        if (redrawPanel) drawSelectionPanel();
+    }
+    
+    // Combined figures for the selected cells: their days pooled together
+    function getSelectionSummary() {
+        const keys = [...selectedKeys];
+        const days = keys.flatMap(key => dailyLookup[key] || []);
+        const values = keys
+            .map(key => getCellValue({key, month: +key.split('-')[1]}))
+            .filter(v => v !== null);
+        return {
+            keys,
+            ...summarizeMonth(days),
+            expectedDays: d3.sum(keys, key => daysInMonth(...key.split('-').map(Number))),
+            value: mean(values)
+        };
+    }
+    
+    function announceSelection() {
+        const summary = getSelectionSummary();
+        announce(summary.keys.length === 0
+            ? 'Selection cleared'
+            : `${summary.keys.length} month${summary.keys.length === 1 ? '' : 's'} selected, ${summary.days} days of data. Mean maximum ${formatTemperature(summary.max_temp_mean)}, mean minimum ${formatTemperature(summary.min_temp_mean)}.`);
+    }
+    
+    // Summary of the selected cells with a histogram of their daily max and min
+    function drawSelectionPanel() {
+        d3.select(containerEl).select(".selection-panel").remove();
+        if (selectedKeys.size === 0) return;
+        
+        const summary = getSelectionSummary();
+        const days = summary.keys.flatMap(key => dailyLookup[key] || []);
+        const metric = metrics[currentMetric];
+        const titleId = `temperature-matrix-${instanceId}-selection-title`;
+        const panel = d3.select(containerEl)
+            .insert("section", ".year-comparison, .event-panel")
+            .attr("class", "selection-panel")
+            .attr("aria-labelledby", titleId);
+        
+        const header = panel.append("div")
+            .attr("class", "selection-header");
+        header.append("h3")
+            .attr("id", titleId)
+            .attr("class", "selection-title")
+            .text(`Selection: ${summary.keys.length} month${summary.keys.length === 1 ? '' : 's'}`);
+        header.append("button")
+            .attr("type", "button")
+            .attr("class", "secondary-button")
+            .text("Clear selection")
+            .on("click", clearSelection);
+        
+        const dateOf = (field, value) => {
+            const day = days.find(d => d[field] === value);
+            return day ? ` on ${d3.timeFormat("%-d %b %Y")(day.date)}` : '';
+        };
+        const stats = [
+            ['Days of data', `${summary.days} of ${summary.expectedDays}`],
+            ['Mean daily maximum', formatTemperature(summary.max_temp_mean)],
+            ['Mean daily minimum', formatTemperature(summary.min_temp_mean)],
+            ['Highest maximum', `${formatTemperature(summary.highest)}${dateOf('max_temperature', summary.highest)}`],
+            ['Lowest minimum', `${formatTemperature(summary.lowest)}${dateOf('min_temperature', summary.lowest)}`],
+            [`${metric.label}${reference ? ` minus ${reference.name}` : anomalyMode ? ' anomaly' : ''}, average of months`,
+                hasSignedValues() && summary.value !== undefined
+                    ? formatAnomaly(toDisplayUnit(summary.value, true)) + units[currentUnit].symbol
+                    : formatTemperature(summary.value, cellValuesAreDifferences())]
+        ];
+        const list = panel.append("dl")
+            .attr("class", "selection-stats");
+        stats.forEach(([term, value]) => {
+            list.append("dt").text(term);
+            list.append("dd").text(value);
+        });
+        
+        if (days.length > 0) drawSelectionHistogram(panel, days);
+        
+        panel.append("p")
+            .attr("class", "selection-hint")
+            .text("Drag across cells, shift-click or use Shift+Arrow keys to change the selection. Escape clears it.");
+    }
+    
+    // Overlaid histograms of the selected days' maximum and minimum temperatures
+    function drawSelectionHistogram(panel, days) {
+        const innerWidth = detailWidth - detailMargin.left - detailMargin.right;
+        const innerHeight = detailHeight - detailMargin.top - detailMargin.bottom;
+        // Bin in the display unit so bin edges are round numbers
+        const maxValues = days.map(d => toDisplayUnit(d.max_temperature));
+        const minValues = days.map(d => toDisplayUnit(d.min_temperature));
+        
+        const xScale = d3.scaleLinear()
+            .domain(d3.extent([...maxValues, ...minValues]))
+            .nice()
+            .range([0, innerWidth]);
+        const bin = d3.bin()
+            .domain(xScale.domain())
+            .thresholds(xScale.ticks(20));
+        const series = [['max', bin(maxValues)], ['min', bin(minValues)]];
+        
+        const yScale = d3.scaleLinear()
+            .domain([0, d3.max(series, ([, bins]) => d3.max(bins, b => b.length))])
+            .nice()
+            .range([innerHeight, 0]);
+        
+        const [low, high] = xScale.domain();
+        const chartSvg = panel.append("svg")
+            .attr("class", "selection-histogram")
+            .attr("viewBox", `0 0 ${detailWidth} ${detailHeight}`)
+            .attr("width", "100%")
+            .attr("role", "img")
+            .attr("aria-label", `Histogram of ${days.length} daily maximum and minimum temperatures in the selection, from ${low} to ${high} ${units[currentUnit].name}`);
+        
+        const chartG = chartSvg.append("g")
+            .attr("transform", `translate(${detailMargin.left},${detailMargin.top})`);
+        
+        series.forEach(([key, bins]) => {
+            chartG.append("g")
+                .attr("class", `selection-bars ${key}`)
+                .selectAll("rect")
+                .data(bins)
+                .enter()
+                .append("rect")
+                .attr("x", b => xScale(b.x0) + 1)
+                .attr("y", b => yScale(b.length))
+                .attr("width", b => Math.max(0, xScale(b.x1) - xScale(b.x0) - 2))
+                .attr("height", b => innerHeight - yScale(b.length));
+        });
+        
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .attr("transform", `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale).ticks(10).tickFormat(t => t + units[currentUnit].symbol));
+        
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .call(d3.axisLeft(yScale).ticks(5));
+        
+        chartG.append("text")
+            .attr("x", innerWidth / 2)
+            .attr("y", innerHeight + 34)
+            .attr("text-anchor", "middle")
+            .style("font-size", "12px")
+            .style("fill", "#b0b0b0")
+            .text("Daily maximum (red) and minimum (blue), number of days");
+    }
+    
+    // List of the extreme events in the selected years; choosing one focuses its cell
+    function drawEventPanel() {
+        d3.select(containerEl).select(".event-panel").remove();
+        if (!showEvents) return;
+        
+        const listed = getEventsInRange();
+        const titleId = `temperature-matrix-${instanceId}-events-title`;
+        const panel = d3.select(containerEl)
+            .append("section")
+            .attr("class", "event-panel")
+            .attr("aria-labelledby", titleId);
+        
+        panel.append("h3")
+            .attr("id", titleId)
+            .attr("class", "event-panel-title")
+            .text(`Extreme events ${startYear}–${endYear}`);
+        
+        // Counts per type double as the key to the marker colors
+        const key = panel.append("ul")
+            .attr("class", "event-key");
+        Object.keys(eventTypes)
+            .filter(type => streakEventTypes.includes(type) || eventSettings.records !== 'none')
+            .forEach(type => {
+                const item = key.append("li");
+                item.append("span")
+                    .attr("class", "legend-swatch")
+                    .attr("aria-hidden", "true")
+                    .style("background", eventTypes[type].color);
+                item.append("span")
+                    .text(`${eventTypes[type].label}: ${listed.filter(event => event.type === type).length}`);
+            });
+        
+        if (listed.length === 0) {
+            panel.append("p")
+                .attr("class", "event-empty")
+                .text("No events match the current thresholds in these years.");
+            return;
+        }
+        
+        const list = panel.append("ol")
+            .attr("class", "event-list");
+        listed.forEach(event => {
+            const button = list.append("li")
+                .append("button")
+                .attr("type", "button")
+                .attr("class", "event-item")
+                .on("click", () => selectEvent(event));
+            button.append("span")
+                .attr("class", "legend-swatch")
+                .attr("aria-hidden", "true")
+                .style("background", eventTypes[event.type].color);
+            button.append("span")
+                .text(describeEvent(event));
+        });
+    }
+    
+    // Focus the event's month cell, or its first day in the calendar view.
+    // Streaks running in from before the range start at its first day.
+    function selectEvent(event) {
+        emit('eventselect', {...event});
+        const start = event.start < `${startYear}-01-01` ? `${startYear}-01-01` : event.start;
+        const [year, month] = start.split('-').map(Number);
+        focusCell(currentView === 'calendar' ? start : `${year}-${month}`);
+    }
+    
+    // Years × months table of the current metric, the accessible alternative
+    // to the matrix graphic. One cell is in the tab order; arrow keys move
+    // between months, Enter opens the daily detail chart and P plays the
+    // month's daily curve.
+    function drawDataTable() {
+        const oldTable = containerEl.querySelector(".data-table");
+        const hadFocus = !!oldTable && oldTable.contains(document.activeElement);
+        d3.select(containerEl).select(".data-table-section").remove();
+        if (!showTable || currentView !== 'matrix') return;
+        
+        const metric = metrics[currentMetric];
+        const years = [...new Set(monthlyData.map(d => d.year))].sort((a, b) => a - b);
+        const titleId = `temperature-matrix-${instanceId}-table-title`;
+        const hintId = `temperature-matrix-${instanceId}-table-hint`;
+        const section = d3.select(containerEl)
+            .append("section")
+            .attr("class", "data-table-section")
+            .attr("aria-labelledby", titleId);
+        
+        section.append("h3")
+            .attr("id", titleId)
+            .attr("class", "data-table-title")
+            .text(`${metric.label}${reference ? ` minus ${reference.name}` : anomalyMode ? `, anomaly from the ${getBaselineLabel()} baseline` : ''} (${units[currentUnit].symbol}), ${startYear}–${endYear}`);
+        section.append("p")
+            .attr("id", hintId)
+            .attr("class", "data-table-hint")
+            .text("Arrow keys move between months, Home and End to the ends of a year. Enter opens the daily chart; P plays the month's daily temperatures as rising and falling pitch. * marks months with missing days.");
+        
+        const table = section.append("div")
+            .attr("class", "data-table-scroll")
+            .append("table")
+            .attr("class", "data-table")
+            .attr("role", "grid")
+            .attr("aria-labelledby", titleId)
+            .attr("aria-describedby", hintId);
+        
+        const header = table.append("thead").append("tr");
+        header.append("th")
+            .attr("scope", "col")
+            .text("Year");
+        months.forEach(month => header.append("th")
+            .attr("scope", "col")
+            .text(monthNames[month - 1]));
+        
+        const rows = table.append("tbody")
+            .selectAll("tr")
+            .data(years)
+            .enter()
+            .append("tr");
+        rows.append("th")
+            .attr("scope", "row")
+            .text(year => year);
+        const tableCells = rows.selectAll("td")
+            .data(year => months.map(month => monthItem(year, month)))
+            .enter()
+            .append("td")
+            .attr("tabindex", "-1")
+            .classed("incomplete", isIncomplete)
+            .each(function(d) {
+                const value = getCellValue(d);
+                const cell = d3.select(this);
+                if (value === null) {
+                    cell.append("span").attr("aria-hidden", "true").text("–");
+                    cell.append("span").attr("class", "sr-only").text("no data");
+                    return;
+                }
+                cell.append("span").text(hasSignedValues()
+                    ? formatAnomaly(toDisplayUnit(value, true))
+                    : toDisplayUnit(value, metric.isDifference).toFixed(1));
+                if (isIncomplete(d)) {
+                    cell.append("span").attr("aria-hidden", "true").text("*");
+                    cell.append("span").attr("class", "sr-only").text(`, incomplete: ${getCoverageText(d)}`);
+                }
+            });
+        
+        // Keep the tab stop on the same month across redraws
+        if (!findTableCell(tableCells, tableFocusKey)) tableFocusKey = `${years[0]}-1`;
+        const rovingCell = findTableCell(tableCells, tableFocusKey);
+        if (rovingCell) {
+            rovingCell.setAttribute("tabindex", "0");
+            if (hadFocus) rovingCell.focus();
+        }
+        
+        tableCells.on("focus", function(event, d) {
+            tableCells.attr("tabindex", "-1");
+            this.setAttribute("tabindex", "0");
+            tableFocusKey = d.key;
+            highlightMonth(d.month);
+        })
+        .on("blur", () => highlightMonth(null));
+        
+        tableCells.on("keydown", function(event, d) {
+            let row = years.indexOf(d.year);
+            let column = d.month - 1;
+            switch(event.key) {
+                case 'Enter':
+                case ' ':
+                    event.preventDefault();
+                    selectCell(d, this);
+                    return;
+                case 'p':
+                case 'P':
+                    event.preventDefault();
+                    toggleSonification(d);
+                    return;
+                case 'ArrowRight':
+                    column = Math.min(column + 1, 11);
+                    break;
+                case 'ArrowLeft':
+                    column = Math.max(column - 1, 0);
+                    break;
+                case 'ArrowDown':
+                    row = Math.min(row + 1, years.length - 1);
+                    break;
+                case 'ArrowUp':
+                    row = Math.max(row - 1, 0);
+                    break;
+                case 'Home':
+                    column = 0;
+                    break;
+                case 'End':
+                    column = 11;
+                    break;
+                default:
+                    return;
+            }
+            event.preventDefault();
+            findTableCell(tableCells, `${years[row]}-${column + 1}`).focus();
+        });
+        tableCells.on("click", function(event, d) {
+            selectCell(d, this);
+        });
+    }
+    
+    function findTableCell(tableCells, key) {
+        return tableCells.filter(d => d.key === key).node();
+    }
+    
+    // Pitch for a Celsius temperature, on a scale spanning the whole dataset
+    // so the same temperature sounds the same in every month
+    function getSonificationScale() {
+        const [low, high] = extent(allData.flatMap(d => [d.max_temperature, d.min_temperature]));
+        const octaves = Math.log2(sonificationPitch[1] / sonificationPitch[0]);
+        return value => sonificationPitch[0] * 2 ** (octaves * (value - low) / ((high - low) || 1));
+    }
+    
+    // Play a month's daily maximums, then its daily minimums, as a sequence
+    // of tones: higher pitch for warmer days, silence for days without data.
+    // Playing the same month again stops it.
+    function toggleSonification(d) {
+        if (sonification && sonification.key === d.key) {
+            stopSonification();
+            announce('Sound stopped');
+            return;
+        }
+        stopSonification();
+        
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const cellDaily = dailyLookup[d.key] || [];
+        const name = `${monthNames[d.month - 1]} ${d.year}`;
+        if (!AudioContextClass) {
+            announce('Sound playback is not supported in this browser');
+            return;
+        }
+        if (cellDaily.length === 0) {
+            announce(`No daily data to play for ${name}`);
+            return;
+        }
+        
+        if (!audioContext) audioContext = new AudioContextClass();
+        audioContext.resume();
+        const pitch = getSonificationScale();
+        const byDay = new Map(cellDaily.map(day => [day.day, day]));
+        const dayCount = d3.max(cellDaily, day => day.day);
+        const start = audioContext.currentTime + 0.1;
+        const curves = [['max_temperature', 'triangle'], ['min_temperature', 'sine']];
+        const oscillators = curves.map(([field, type], i) => {
+            const offset = start + i * (dayCount + sonificationPause) * sonificationNoteDuration;
+            const oscillator = audioContext.createOscillator();
+            const gain = audioContext.createGain();
+            oscillator.type = type;
+            for (let day = 1; day <= dayCount; day++) {
+                const time = offset + (day - 1) * sonificationNoteDuration;
+                const record = byDay.get(day);
+                if (record) oscillator.frequency.setValueAtTime(pitch(record[field]), time);
+                gain.gain.setValueAtTime(record ? sonificationVolume : 0, time);
+            }
+            oscillator.connect(gain).connect(audioContext.destination);
+            oscillator.start(offset);
+            oscillator.stop(offset + dayCount * sonificationNoteDuration);
+            return oscillator;
+        });
+        
+        const playing = {key: d.key, oscillators};
+        sonification = playing;
+        oscillators[oscillators.length - 1].onended = () => {
+            if (sonification === playing) sonification = null;
+        };
+        const {highest, lowest} = summarizeMonth(cellDaily);
+        announce(`Playing ${name}: daily maximums, then daily minimums in a softer tone. Higher pitch is warmer; the month ranges from ${formatTemperature(lowest)} to ${formatTemperature(highest)}. Press P again to stop.`);
+    }
+    
+    function stopSonification() {
+        if (!sonification) return;
+        sonification.oscillators.forEach(oscillator => {
+            oscillator.onended = null;
+            oscillator.stop();
+        });
+        sonification = null;
+    }
+    
+    function getComparisonColor(year) {
+        return comparisonColors[comparisonYears.indexOf(year) % comparisonColors.length];
+    }
+    
+    // Highlight the compared years in the matrix and redraw the comparison panel
+    function updateComparison() {
+        if (g) {
+            g.selectAll(".year-highlight")
+                .style("display", d => comparisonYears.includes(d) ? null : "none")
+                .attr("stroke", d => comparisonYears.includes(d) ? getComparisonColor(d) : null);
+            g.selectAll(".year-toggle")
+                .attr("aria-pressed", d => comparisonYears.includes(d))
+                .style("fill", d => comparisonYears.includes(d) ? getComparisonColor(d) : "#e0e0e0");
+        }
+        drawComparisonPanel();
+    }
+    
+    // Panel below the matrix overlaying each compared year's monthly mean max
+    // and min on the all-years mean, with a ±1 standard deviation band
+    function drawComparisonPanel() {
+        d3.select(containerEl).select(".year-comparison").remove();
+        if (comparisonYears.length === 0) return;
+        
+        const titleId = `temperature-matrix-${instanceId}-comparison-title`;
+        // Keep the comparison above the event list
+        const panel = d3.select(containerEl)
+            .insert("section", ".event-panel")
+            .attr("class", "year-comparison")
+            .attr("aria-labelledby", titleId);
+        
+        const header = panel.append("div")
+            .attr("class", "year-comparison-header");
+        header.append("h3")
+            .attr("id", titleId)
+            .attr("class", "year-comparison-title")
+            .text(`Year comparison: ${comparisonYears.join(', ')}`);
+        header.append("button")
+            .attr("type", "button")
+            .attr("class", "secondary-button")
+            .text("Clear comparison")
+            .on("click", () => setComparisonYears([]));
+        
+        const innerWidth = detailWidth - detailMargin.left - detailMargin.right;
+        const innerHeight = detailHeight - detailMargin.top - detailMargin.bottom;
+        const firstYear = availableYears[0];
+        const lastYear = availableYears[availableYears.length - 1];
+        const climateByMonth = {};
+        climatology.forEach(c => {
+            climateByMonth[c.month] = c;
+        });
+        // One entry per calendar month for each year, null where it has no data
+        const series = comparisonYears.map(year => ({
+            year,
+            months: months.map(month => fullMonthlyLookup[`${year}-${month}`] || null)
+        }));
+        
+        const bandValues = climatology.flatMap(c => ['max', 'min'].flatMap(key =>
+            [c[key].mean - (c[key].sd || 0), c[key].mean + (c[key].sd || 0)]));
+        const yearValues = series.flatMap(s => s.months.filter(m => m).flatMap(m => [m.max_temp_mean, m.min_temp_mean]));
+        
+        const xScale = d3.scalePoint()
+            .domain(months)
+            .range([0, innerWidth])
+            .padding(0.3);
+        
+        const yScale = d3.scaleLinear()
+            .domain(d3.extent([...bandValues, ...yearValues]))
+            .nice()
+            .range([innerHeight, 0]);
+        
+        const chartSvg = panel.append("svg")
+            .attr("class", "year-comparison-chart")
+            .attr("viewBox", `0 0 ${detailWidth} ${detailHeight}`)
+            .attr("width", "100%")
+            .attr("role", "img")
+            .attr("aria-label", `Line chart of monthly mean maximum and minimum temperatures for ${comparisonYears.join(', ')} against the ${firstYear}–${lastYear} mean, shaded one standard deviation either side`);
+        
+        const chartG = chartSvg.append("g")
+            .attr("transform", `translate(${detailMargin.left},${detailMargin.top})`);
+        
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .attr("transform", `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale).tickFormat(month => monthNames[month - 1]));
+        
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .call(d3.axisLeft(displayScale(yScale)).ticks(6).tickFormat(t => t + units[currentUnit].symbol));
+        
+        // All-years mean ±1σ for the monthly mean max and min
+        ['max', 'min'].forEach(key => {
+            const band = d3.area()
+                .x(c => xScale(c.month))
+                .y0(c => yScale(c[key].mean - (c[key].sd || 0)))
+                .y1(c => yScale(c[key].mean + (c[key].sd || 0)))
+                .curve(d3.curveMonotoneX);
+            const meanLine = d3.line()
+                .x(c => xScale(c.month))
+                .y(c => yScale(c[key].mean))
+                .curve(d3.curveMonotoneX);
+            
+            chartG.append("path")
+                .datum(climatology)
+                .attr("class", `year-comparison-band ${key}`)
+                .attr("aria-hidden", "true")
+                .attr("d", band);
+            chartG.append("path")
+                .datum(climatology)
+                .attr("class", "year-comparison-mean")
+                .attr("aria-hidden", "true")
+                .attr("d", meanLine);
+        });
+        
+        // Each compared year: solid mean max, dashed mean min, with gaps for missing months
+        series.forEach(({year, months: yearMonths}) => {
+            const color = getComparisonColor(year);
+            const yearG = chartG.append("g")
+                .attr("class", "year-comparison-year")
+                .attr("aria-hidden", "true");
+            
+            [['max_temp_mean', null], ['min_temp_mean', '5 3']].forEach(([field, dash]) => {
+                const line = d3.line()
+                    .defined(m => m)
+                    .x(m => xScale(m.month))
+                    .y(m => yScale(m[field]))
+                    .curve(d3.curveMonotoneX);
+                
+                yearG.append("path")
+                    .datum(yearMonths)
+                    .attr("fill", "none")
+                    .attr("stroke", color)
+                    .attr("stroke-width", 2)
+                    .attr("stroke-dasharray", dash)
+                    .attr("d", line);
+                
+                yearG.selectAll(null)
+                    .data(yearMonths.filter(m => m))
+                    .enter()
+                    .append("circle")
+                    .attr("cx", m => xScale(m.month))
+                    .attr("cy", m => yScale(m[field]))
+                    .attr("r", 3.5)
+                    .attr("fill", color)
+                    .on("mouseover", (event, m) => showComparisonTooltip(event, m, climateByMonth[m.month]))
+                    .on("mouseout", hideTooltip);
+            });
+        });
+        
+        // Text summary doubling as the chart legend
+        const legend = panel.append("ul")
+            .attr("class", "year-comparison-legend");
+        series.forEach(({year, months: yearMonths}) => {
+            const recorded = yearMonths.filter(m => m);
+            const anomaly = field => mean(recorded.map(m => m[`${field}_temp_mean`] - climateByMonth[m.month][field].mean));
+            const formatDifference = value => formatAnomaly(toDisplayUnit(value, true)) + units[currentUnit].symbol;
+            const item = legend.append("li");
+            item.append("span")
+                .attr("class", "legend-swatch")
+                .attr("aria-hidden", "true")
+                .style("background", getComparisonColor(year));
+            item.append("span")
+                .text(`${year}: mean max ${formatDifference(anomaly('max'))}, mean min ${formatDifference(anomaly('min'))} against the all-years mean (${recorded.length} month${recorded.length === 1 ? '' : 's'} of data)`);
+        });
+        legend.append("li")
+            .attr("class", "year-comparison-note")
+            .text(`Solid lines are monthly mean maximum, dashed lines mean minimum. Grey lines and bands show the ${firstYear}–${lastYear} mean ±1 standard deviation.`);
+    }
+    
+    function showComparisonTooltip(event, m, climate) {
+        const spread = value => value === undefined ? '' : ` ± ${formatTemperature(value, true)}`;
+        tooltip
+            .attr("aria-hidden", "false")
+            .style("opacity", 1)
+            .html(`
+                <strong>${monthNames[m.month - 1]} ${m.year}</strong>
+                <div style="margin-top: 8px;">
+                    <div style="margin-bottom: 4px;">Mean max: <strong>${formatTemperature(m.max_temp_mean)}</strong></div>
+                    <div style="margin-bottom: 4px;">Mean min: <strong>${formatTemperature(m.min_temp_mean)}</strong></div>
+                    <div style="font-size: 0.9em; color: #b0b0b0;">
+                        All years: ${formatTemperature(climate.max.mean)}${spread(climate.max.sd)} / ${formatTemperature(climate.min.mean)}${spread(climate.min.sd)}
+                    </div>
+                </div>
+            `)
+            .style("left", (event.pageX + 15) + "px")
+            .style("top", (event.pageY - 10) + "px");
+    }
+    
+    function hasDistributionPanel() {
+        return distributionChart !== 'none' || showRidgeline;
+    }
+    
+    // Panel beside the matrix of how each calendar month's daily maximum and
+    // minimum are spread over the shown years: box or violin plots, and
+    // optionally a ridgeline of their densities
+    function drawDistributionPanel() {
+        d3.select(containerEl).select(".distribution-panel").remove();
+        if (!hasDistributionPanel()) return;
+        
+        const titleId = `temperature-matrix-${instanceId}-distribution-title`;
+        const panel = d3.select(containerEl).select(".matrix-layout")
+            .append("section")
+            .attr("class", "distribution-panel")
+            .attr("aria-labelledby", titleId);
+        
+        panel.append("h3")
+            .attr("id", titleId)
+            .attr("class", "distribution-title")
+            .text(`Daily temperatures by month, ${startYear}–${endYear}`);
+        
+        const distributions = getMonthDistributions();
+        if (distributions.length === 0) {
+            panel.append("p")
+                .attr("class", "distribution-note")
+                .text("No daily data in these years.");
+            return;
+        }
+        
+        const domain = d3.extent(distributions.flatMap(d => distributionFields.flatMap(({key}) => [d[key].summary.min, d[key].summary.max])));
+        if (distributionChart !== 'none') drawDistributionChart(panel, distributions, domain);
+        if (showRidgeline) drawRidgeline(panel, distributions, domain);
+        
+        // Key to the colors and marks, and a text version of the charts
+        const key = panel.append("ul")
+            .attr("class", "distribution-key");
+        distributionFields.forEach(({key: field, label}) => {
+            const item = key.append("li");
+            item.append("span")
+                .attr("class", `legend-swatch distribution-swatch ${field}`)
+                .attr("aria-hidden", "true");
+            item.append("span")
+                .text(label);
+        });
+        panel.append("p")
+            .attr("class", "distribution-note")
+            .text([
+                distributionCharts[distributionChart].note,
+                showRidgeline ? 'Each ridge rises highest at the temperatures most common in its month.' : '',
+                'Hover a month label or focus a cell in the matrix to highlight its month.'
+            ].filter(Boolean).join(' '));
+        
+        const summaries = panel.append("ul")
+            .attr("class", "sr-only");
+        distributions.forEach(d => {
+            summaries.append("li")
+                .text(`${monthNames[d.month - 1]}, ${d.days} days: ${distributionFields.map(({key: field, label}) => `${label.toLowerCase()} ${describeDistribution(d[field].summary)}`).join('; ')}`);
+        });
+        
+        highlightMonth(highlightedMonth);
+    }
+    
+    // Daily max and min of each calendar month with data in the shown years,
+    // with their box plot summary and kernel bandwidth. The charts add their
+    // densities to these on first use.
+    function getMonthDistributions() {
+        if (distributionCache) return distributionCache;
+        const byMonth = groupByCalendarMonth(dailyData);
+        distributionCache = months.filter(month => byMonth[month]).map(month => {
+            const distribution = {month, days: byMonth[month].length};
+            distributionFields.forEach(({key, field}) => {
+                const values = byMonth[month].map(d => d[field]);
+                distribution[key] = {values, summary: summarizeDistribution(values), bandwidth: silvermanBandwidth(values)};
+            });
+            return distribution;
+        });
+        return distributionCache;
+    }
+    
+    // Density of a month's values at evenly spaced points from `low` to `high`
+    function getDensity(values, bandwidth, low, high) {
+        const step = (high - low) / (densityPoints - 1);
+        return kernelDensity(values, d3.range(densityPoints).map(i => low + i * step), bandwidth);
+    }
+    
+    function describeDistribution(summary) {
+        return `median ${formatTemperature(summary.median)}, middle half ${formatTemperature(summary.q1)} to ${formatTemperature(summary.q3)}, range ${formatTemperature(summary.min)} to ${formatTemperature(summary.max)}`;
+    }
+    
+    // Box or violin plots of the daily max and min, one pair per month
+    function drawDistributionChart(panel, distributions, domain) {
+        const innerWidth = detailWidth - detailMargin.left - detailMargin.right;
+        const innerHeight = detailHeight - detailMargin.top - detailMargin.bottom;
+        
+        const xScale = d3.scaleBand()
+            .domain(distributions.map(d => d.month))
+            .range([0, innerWidth])
+            .padding(0.15);
+        const fieldScale = d3.scaleBand()
+            .domain(distributionFields.map(f => f.key))
+            .range([0, xScale.bandwidth()])
+            .padding(0.1);
+        const yScale = d3.scaleLinear()
+            .domain(domain)
+            .nice()
+            .range([innerHeight, 0]);
+        const plotWidth = fieldScale.bandwidth();
+        
+        // Violins are trimmed to each month's range and share one width scale
+        let violinWidth = null;
+        if (distributionChart === 'violin') {
+            distributions.forEach(d => distributionFields.forEach(({key}) => {
+                const {values, bandwidth, summary} = d[key];
+                if (!d[key].density) d[key].density = getDensity(values, bandwidth, summary.min, summary.max);
+            }));
+            violinWidth = d3.scaleLinear()
+                .domain([0, d3.max(distributions.flatMap(d => distributionFields.flatMap(({key}) => d[key].density.map(p => p[1]))))])
+                .range([0, plotWidth / 2]);
+        }
+        
+        const chartSvg = panel.append("svg")
+            .attr("class", "distribution-chart")
+            .attr("viewBox", `0 0 ${detailWidth} ${detailHeight}`)
+            .attr("width", "100%")
+            .attr("role", "img")
+            .attr("aria-label", `${distributionCharts[distributionChart].label} of daily maximum and minimum temperatures for each month, ${startYear}–${endYear}`);
+        
+        const chartG = chartSvg.append("g")
+            .attr("transform", `translate(${detailMargin.left},${detailMargin.top})`);
+        
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .attr("transform", `translate(0,${innerHeight})`)
+            .call(d3.axisBottom(xScale).tickFormat(month => monthNames[month - 1]));
+        
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .call(d3.axisLeft(displayScale(yScale)).ticks(6).tickFormat(t => t + units[currentUnit].symbol));
+        
+        const monthGroups = chartG.selectAll(".distribution-month")
+            .data(distributions)
+            .enter()
+            .append("g")
+            .attr("class", "distribution-month")
+            .attr("aria-hidden", "true")
+            .attr("transform", d => `translate(${xScale(d.month)},0)`)
+            .on("mouseover", (event, d) => {
+                highlightMonth(d.month);
+                showDistributionTooltip(event, d);
+            })
+            .on("mouseout", () => {
+                highlightMonth(null);
+                hideTooltip();
+            });
+        
+        // Hover target covering the whole column
+        monthGroups.append("rect")
+            .attr("class", "distribution-hover")
+            .attr("width", xScale.bandwidth())
+            .attr("height", innerHeight);
+        
+        distributionFields.forEach(({key}) => {
+            const center = fieldScale(key) + plotWidth / 2;
+            const plots = monthGroups.append("g")
+                .attr("class", `distribution-plot ${key}`);
+            
+            if (distributionChart === 'violin') {
+                const area = d3.area()
+                    .x0(p => center - violinWidth(p[1]))
+                    .x1(p => center + violinWidth(p[1]))
+                    .y(p => yScale(p[0]))
+                    .curve(d3.curveMonotoneY);
+                plots.append("path")
+                    .attr("class", "distribution-violin")
+                    .attr("d", d => area(d[key].density));
+                plots.append("line")
+                    .attr("class", "distribution-quartiles")
+                    .attr("x1", center)
+                    .attr("x2", center)
+                    .attr("y1", d => yScale(d[key].summary.q1))
+                    .attr("y2", d => yScale(d[key].summary.q3));
+                plots.append("circle")
+                    .attr("class", "distribution-median")
+                    .attr("cx", center)
+                    .attr("cy", d => yScale(d[key].summary.median))
+                    .attr("r", 2.5);
+                return;
+            }
+            
+            const boxWidth = plotWidth * 0.8;
+            plots.append("line")
+                .attr("class", "distribution-whisker")
+                .attr("x1", center)
+                .attr("x2", center)
+                .attr("y1", d => yScale(d[key].summary.lowerWhisker))
+                .attr("y2", d => yScale(d[key].summary.upperWhisker));
+            ['lowerWhisker', 'upperWhisker'].forEach(end => {
+                plots.append("line")
+                    .attr("class", "distribution-whisker")
+                    .attr("x1", center - boxWidth / 4)
+                    .attr("x2", center + boxWidth / 4)
+                    .attr("y1", d => yScale(d[key].summary[end]))
+                    .attr("y2", d => yScale(d[key].summary[end]));
+            });
+            plots.append("rect")
+                .attr("class", "distribution-box")
+                .attr("x", center - boxWidth / 2)
+                .attr("width", boxWidth)
+                .attr("y", d => yScale(d[key].summary.q3))
+                .attr("height", d => Math.max(1, yScale(d[key].summary.q1) - yScale(d[key].summary.q3)));
+            plots.append("line")
+                .attr("class", "distribution-median-line")
+                .attr("x1", center - boxWidth / 2)
+                .attr("x2", center + boxWidth / 2)
+                .attr("y1", d => yScale(d[key].summary.median))
+                .attr("y2", d => yScale(d[key].summary.median));
+            plots.selectAll(".distribution-outlier")
+                .data(d => d[key].summary.outliers)
+                .enter()
+                .append("circle")
+                .attr("class", "distribution-outlier")
+                .attr("cx", center)
+                .attr("cy", v => yScale(v))
+                .attr("r", 1.5);
+        });
+    }
+    
+    // Ridgeline of each month's daily max and min densities, January at the
+    // top; ridges rise into the rows above so the shapes stay readable
+    function drawRidgeline(panel, distributions, domain) {
+        const innerWidth = detailWidth - detailMargin.left - detailMargin.right;
+        const top = ridgeRowHeight * (ridgeOverlap - 1);
+        const rowsHeight = ridgeRowHeight * distributions.length;
+        const height = detailMargin.top + top + rowsHeight + detailMargin.bottom;
+        
+        const xScale = d3.scaleLinear()
+            .domain(domain)
+            .nice()
+            .range([0, innerWidth]);
+        // The domain only changes with the year range, along with the cache
+        const [low, high] = xScale.domain();
+        distributions.forEach(d => distributionFields.forEach(({key}) => {
+            if (!d[key].ridge) d[key].ridge = getDensity(d[key].values, d[key].bandwidth, low, high);
+        }));
+        const ridgeHeight = d3.scaleLinear()
+            .domain([0, d3.max(distributions.flatMap(d => distributionFields.flatMap(({key}) => d[key].ridge.map(p => p[1]))))])
+            .range([0, ridgeRowHeight * ridgeOverlap]);
+        
+        const chartSvg = panel.append("svg")
+            .attr("class", "distribution-ridgeline")
+            .attr("viewBox", `0 0 ${detailWidth} ${height}`)
+            .attr("width", "100%")
+            .attr("role", "img")
+            .attr("aria-label", `Ridgeline of the density of daily maximum and minimum temperatures for each month, ${startYear}–${endYear}`);
+        
+        const chartG = chartSvg.append("g")
+            .attr("transform", `translate(${detailMargin.left},${detailMargin.top + top})`);
+        
+        chartG.append("g")
+            .attr("class", "detail-axis")
+            .attr("transform", `translate(0,${rowsHeight})`)
+            .call(d3.axisBottom(displayScale(xScale)).ticks(8).tickFormat(t => t + units[currentUnit].symbol));
+        
+        // Later rows are drawn over the ridges rising from them into earlier ones
+        const rows = chartG.selectAll(".ridgeline-month")
+            .data(distributions)
+            .enter()
+            .append("g")
+            .attr("class", "ridgeline-month")
+            .attr("aria-hidden", "true")
+            .attr("transform", (d, i) => `translate(0,${(i + 1) * ridgeRowHeight})`)
+            .on("mouseover", (event, d) => {
+                highlightMonth(d.month);
+                showDistributionTooltip(event, d);
+            })
+            .on("mouseout", () => {
+                highlightMonth(null);
+                hideTooltip();
+            });
+        
+        rows.append("text")
+            .attr("class", "ridgeline-label")
+            .attr("x", -8)
+            .attr("y", -4)
+            .attr("text-anchor", "end")
+            .text(d => monthNames[d.month - 1]);
+        
+        distributionFields.forEach(({key}) => {
+            const area = d3.area()
+                .x(p => xScale(p[0]))
+                .y0(0)
+                .y1(p => -ridgeHeight(p[1]))
+                .curve(d3.curveMonotoneX);
+            rows.append("path")
+                .attr("class", `ridgeline-ridge ${key}`)
+                .attr("d", d => area(d[key].ridge));
+        });
+    }
+    
+    // Emphasise one calendar month in the distribution panel and the month
+    // labels, or pass null to clear it
+    function highlightMonth(month) {
+        highlightedMonth = month;
+        d3.select(containerEl).select(".distribution-panel")
+            .selectAll(".distribution-month, .ridgeline-month")
+            .classed("highlighted", d => d.month === month)
+            .classed("dimmed", d => month !== null && d.month !== month);
+        if (g) g.selectAll(".month-label").style("fill", d => d === month ? "#4a9eff" : "#e0e0e0");
+    }
+    
+    function showDistributionTooltip(event, d) {
+        tooltip
+            .attr("aria-hidden", "false")
+            .style("opacity", 1)
+            .html(`
+                <strong>${monthNames[d.month - 1]} ${startYear}–${endYear}</strong>
+                <div style="margin-top: 8px;">
+                    ${distributionFields.map(({key, label}) => `<div style="margin-bottom: 4px;">${label}: median <strong>${formatTemperature(d[key].summary.median)}</strong>, middle half ${formatTemperature(d[key].summary.q1)}–${formatTemperature(d[key].summary.q3)}</div>`).join('')}
+                    <div style="font-size: 0.9em; color: #b0b0b0;">${d.days} days</div>
+                </div>
+            `)
+            .style("left", (event.pageX + 15) + "px")
+            .style("top", (event.pageY - 10) + "px");
+    }
+    
+    function createLegend(width) {
+        const legendWidth = 20;
+        const legendHeight = 200;
+        const legendX = width - margin.right + 20;
+        const legendY = margin.top;
+        
+        const metric = metrics[currentMetric];
+        const metricLabel = currentView === 'calendar' ? metric.dailyLabel : metric.label;
+        const legendLabel = reference
+            ? `${metricLabel} difference legend, this station minus ${reference.name}. Range from minus ${toDisplayUnit(maxTemp, true).toFixed(1)} to plus ${toDisplayUnit(maxTemp, true).toFixed(1)} ${units[currentUnit].name}, zero means equal`
+            : anomalyMode
+            ? `${metricLabel} anomaly legend relative to the ${getBaselineLabel()} baseline. Range from minus ${toDisplayUnit(maxTemp, true).toFixed(1)} to plus ${toDisplayUnit(maxTemp, true).toFixed(1)} ${units[currentUnit].name}, zero means normal`
+            : `${metricLabel} legend. Range from ${toDisplayUnit(minTemp, metric.isDifference).toFixed(1)} to ${toDisplayUnit(maxTemp, metric.isDifference).toFixed(1)} ${units[currentUnit].name}`;
+        
+        const legendSvg = svg.append("g")
+            .attr("class", "legend")
+            .attr("transform", `translate(${legendX},${legendY})`)
+            .attr("role", "group")
+            .attr("aria-label", legendLabel);
+        
+        if (binnedScale) {
+            drawBinnedLegend(legendSvg, legendWidth, legendHeight);
+        } else {
+            drawGradientLegend(legendSvg, legendWidth, legendHeight);
+        }
+        
+        // Legend title (metric name above its unit, left-aligned to fit the margin)
+        const legendTitle = legendSvg.append("text")
+            .attr("x", 0)
+            .attr("y", hasSignedValues() ? -38 : -26)
+            .attr("text-anchor", "start")
+            .style("font-size", "12px")
+            .style("font-weight", "bold")
+            .style("fill", "#e0e0e0")
+            .attr("aria-hidden", "true");
+        legendTitle.append("tspan")
+            .text(hasSignedValues() ? `${metricLabel} ${reference ? 'difference' : 'anomaly'}` : metricLabel);
+        legendTitle.append("tspan")
+            .attr("x", 0)
+            .attr("dy", "1.2em")
+            .text(hasSignedValues() ? `vs ${getSignedValueLabel()} (${units[currentUnit].symbol})` : `(${units[currentUnit].symbol})`);
+        
+        // Key for the hatching, when any incomplete months are in view
+        if (cells.data().some(isIncomplete)) {
+            legendSvg.attr("aria-label", `${legendLabel}. Hatched cells are incomplete months${excludeIncomplete ? ', excluded from the color scale' : ''}`);
+            
+            const coverageKey = legendSvg.append("g")
+                .attr("class", "coverage-key")
+                .attr("transform", `translate(0,${legendHeight + (hasSignedValues() ? 34 : 20)})`)
+                .attr("aria-hidden", "true");
+            coverageKey.append("rect")
+                .attr("width", legendWidth)
+                .attr("height", 14)
+                .attr("rx", 2)
+                .attr("fill", "#808080")
+                .attr("stroke", "#b0b0b0")
+                .attr("stroke-dasharray", "4 3");
+            coverageKey.append("rect")
+                .attr("width", legendWidth)
+                .attr("height", 14)
+                .attr("rx", 2)
+                .attr("fill", `url(#${hatchId})`);
+            const keyText = coverageKey.append("text")
+                .attr("x", legendWidth + 6)
+                .attr("y", 7)
+                .attr("dominant-baseline", "middle")
+                .style("font-size", "10px")
+                .style("fill", "#e0e0e0");
+            keyText.append("tspan")
+                .text("Incomplete month");
+            if (excludeIncomplete) {
+                keyText.append("tspan")
+                    .attr("x", legendWidth + 6)
+                    .attr("dy", "1.2em")
+                    .text("(not in color scale)");
+            }
+        }
+    }
+    
+    // Continuous legend: gradient bar with a temperature axis
+    function drawGradientLegend(legendSvg, legendWidth, legendHeight) {
+        // Legend gradient
+        const defs = svg.append("defs")
+            .attr("class", "legend-defs");
+        const gradient = defs.append("linearGradient")
+            .attr("id", gradientId)
+            .attr("x1", "0%")
+            .attr("x2", "0%")
+            .attr("y1", "0%")
+            .attr("y2", "100%");
+        
+        const numStops = 10;
+        for (let i = 0; i <= numStops; i++) {
+            const t = i / numStops;
+            const temp = minTemp + (maxTemp - minTemp) * (1 - t);
+            gradient.append("stop")
+                .attr("offset", `${t * 100}%`)
+                .attr("stop-color", colorScale(temp));
+        }
+        
+        // Legend rectangle
+        legendSvg.append("rect")
+            .attr("width", legendWidth)
+            .attr("height", legendHeight)
+            .style("fill", `url(#${gradientId})`)
+            .style("stroke", "#808080")
+            .style("stroke-width", 1)
+            .attr("aria-hidden", "true");
+        
+        // Legend labels, with the axis in the display unit
+        const legendScale = displayScale(d3.scaleLinear()
+            .domain([minTemp, maxTemp])
+            .range([legendHeight, 0]), cellValuesAreDifferences());
+        
+        const legendAxis = d3.axisRight(legendScale)
+            .ticks(5)
+            .tickFormat(d => (hasSignedValues() ? formatAnomaly(d) : d.toFixed(1)) + units[currentUnit].symbol);
+        
+        legendSvg.append("g")
+            .attr("transform", `translate(${legendWidth}, 0)`)
+            .attr("aria-hidden", "true")
+            .call(legendAxis)
+            .style("font-size", "10px")
+            .style("fill", "#e0e0e0");
+        
+        // Anomaly and difference legends: mark the zero line and label both directions
+        if (hasSignedValues()) {
+            legendSvg.append("line")
+                .attr("x1", -4)
+                .attr("x2", legendWidth)
+                .attr("y1", legendScale(0))
+                .attr("y2", legendScale(0))
+                .style("stroke", "#ffffff")
+                .style("stroke-width", 2)
+                .attr("aria-hidden", "true");
+            
+            const [above, below] = reference
+                ? [`Above ${reference.name}`, `Below ${reference.name}`]
+                : ["Warmer than normal", "Cooler than normal"];
+            [[above, -6], [below, legendHeight + 14]].forEach(([text, y]) => {
+                legendSvg.append("text")
+                    .attr("x", 0)
+                    .attr("y", y)
+                    .attr("dy", y < 0 ? 0 : "0.35em")
+                    .style("font-size", "10px")
+                    .style("fill", "#b0b0b0")
+                    .attr("aria-hidden", "true")
+                    .text(text);
+            });
+        }
+    }
+    
+    // Binned legend: one swatch per bin, highest at the top. Hovering or
+    // focusing a swatch highlights the matrix cells in that bin.
+    function drawBinnedLegend(legendSvg, legendWidth, legendHeight) {
+        const bounds = [minTemp, ...binEdges, maxTemp];
+        const isDifference = cellValuesAreDifferences();
+        const format = v => hasSignedValues() ? formatAnomaly(toDisplayUnit(v, true)) : toDisplayUnit(v, isDifference).toFixed(1);
+        const symbol = units[currentUnit].symbol;
+        const bins = d3.range(bounds.length - 1).map(i => ({
+            index: i,
+            low: bounds[i],
+            high: bounds[i + 1],
+            color: colorScale.range()[i]
+        })).reverse();
+        const swatchHeight = legendHeight / bins.length;
+        
+        const binLabel = bin => {
+            if (bin.index === 0 && bins.length > 1) return `< ${format(bin.high)}${symbol}`;
+            if (bin.index === bins.length - 1 && bins.length > 1) return `≥ ${format(bin.low)}${symbol}`;
+            return `${format(bin.low)} – ${format(bin.high)}${symbol}`;
+        };
+        const countCells = bin => cells.data()
+            .filter(d => {
+                const value = getCellValue(d);
+                return value !== null && getBinIndex(value) === bin.index;
+            }).length;
+        
+        const swatches = legendSvg.selectAll(".legend-bin")
+            .data(bins)
+            .enter()
+            .append("g")
+            .attr("class", "legend-bin")
+            .attr("transform", (bin, i) => `translate(0,${i * swatchHeight})`)
+            .attr("tabindex", "0")
+            .attr("role", "button")
+            .attr("aria-label", bin => {
+                const count = countCells(bin);
+                return `${binLabel(bin).replace(symbol, ' ' + units[currentUnit].name)}, ${count} ${currentView === 'calendar' ? 'day' : 'cell'}${count === 1 ? '' : 's'}. Focus to highlight them.`;
+            });
+        
+        swatches.append("rect")
+            .attr("width", legendWidth)
+            .attr("height", swatchHeight)
+            .attr("fill", bin => bin.color)
+            .style("stroke", "#808080")
+            .style("stroke-width", 1);
+        
+        swatches.append("text")
+            .attr("x", legendWidth + 6)
+            .attr("y", swatchHeight / 2)
+            .attr("dominant-baseline", "middle")
+            .style("font-size", "10px")
+            .style("fill", "#e0e0e0")
+            .attr("aria-hidden", "true")
+            .text(binLabel);
+        
+        swatches
+            .on("mouseover focus", function(event, bin) {
+                highlightBin(bin.index);
+            })
+            .on("mouseout blur", function() {
+                highlightBin(null);
+            });
+    }
+    
+    // Dim every cell outside the given bin; null clears the highlight
+    function highlightBin(index) {
+        if (!cells) return;
+        cells.classed("dimmed", d => {
+            if (index === null) return false;
+            const value = getCellValue(d);
+            return value === null || getBinIndex(value) !== index;
+        });
+        svg.selectAll(".legend-bin").classed("active", bin => bin.index === index);
+        drawMatrixCanvas();
+    }
+    
+    // Refit the matrix when the container's width changes enough to change the
+    // cell size, keeping focus on the same cell
+    const resizeObserver = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(() => {
+        if (currentView !== 'matrix' || !matrixLayout) return;
+        const previousWidth = cellWidth;
+        if (fitCellSize(matrixLayout.years.length) === previousWidth) return;
+        const refocus = cellElements.includes(document.activeElement) ? focusedCellKey : null;
+        render(true);
+        if (refocus) focusCell(refocus);
+    });
+    if (resizeObserver) resizeObserver.observe(containerEl);
+    
+    // Escape anywhere in the component clears a multi-cell selection,
+    // unless the key already closed something else, such as the detail panel
+    d3.select(containerEl).on("keydown.selection", event => {
+        if (event.defaultPrevented) return;
+        if (event.key === 'Escape' && selectedKeys.size > 0) {
+            event.preventDefault();
+            clearSelection();
+        }
+    });
+    
+    setData(data, options.initialState);
+    
+    return {
+        on,
+        getState,
+        setState,
+        setData,
+        setMetric,
+        toggleMaxMin,
+        setRange,
+        setAnomaly,
+        setBaseline,
+        setPalette,
+        setUnit,
+        setBinning,
+        setExcludeIncomplete,
+        setView,
+        setTrends,
+        setEvents,
+        setEventSettings,
+        getEvents: () => getEventsInRange().map(event => ({...event})),
+        setComparisonYears,
+        toggleComparisonYear,
+        setYearOrder,
+        setMonthOrder,
+        setSeasonGrouping,
+        zoomBy,
+        resetZoom,
+        setRenderer,
+        setTable,
+        setDistribution,
+        setRidgeline,
+        // Highlight a calendar month (1-12) in the distribution panel, or null
+        highlightMonth,
+        setReference,
+        setColorDomain,
+        getValueExtent,
+        setTitle,
+        // Play (or stop) a month key's daily curve as sound, e.g. "2004-2"
+        toggleSonification: key => toggleSonification(monthItem(...key.split('-').map(Number))),
+        stopSonification,
+        getSelection: getSelectionSummary,
+        setSelection: keys => {
+            setSelection(keys);
+            announceSelection();
+        },
+        clearSelection,
+        focusCell,
+        openDetail,
+        closeDetail: closeDetailPanel,
+        getYears: () => availableYears.slice(),
+        getDefaultState: () => getDefaultViewState(availableYears),
+        toSVG: serializeMatrixSvg,
+        toCSV: buildExportCsv,
+        toPNG,
+        destroy
+    };
+}
@@ -0,0 +1,14 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {readFileSync} from 'node:fs';
+
+await import('../d3-offline.js');
+
+// The offline build replaces the CDN's full D3 with d3-offline.js, so every
+// d3 member the app modules use has to be in it
+test('d3-offline provides every d3 function the app uses', () => {
+    const used = new Set(['script.js', 'temperature-matrix.js'].flatMap(file =>
+        [...readFileSync(new URL(`../${file}`, import.meta.url), 'utf8').matchAll(/\bd3\.(\w+)/g)].map(match => match[1])));
+    assert.ok(used.size > 20);
+    assert.deepEqual([...used].filter(name => globalThis.d3[name] === undefined), []);
+});
@@ -0,0 +1,535 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {readFileSync} from 'node:fs';
+
+import {
+    parseDate,
+    parseNumber,
+    parseRows,
+    splitStations,
+    getYears,
+    filterYears,
+    groupByMonth,
+    aggregateMonths,
+    summarizeMonth,
+    extent,
+    mean,
+    median,
+    deviation,
+    quantileSorted,
+    groupByCalendarMonth,
+    summarizeDistribution,
+    silvermanBandwidth,
+    kernelDensity,
+    sortByValue,
+    cellStatistics,
+    dailyStatistics,
+    computeMonthlyBaseline,
+    computeClimatology,
+    linearRegression,
+    mannKendall,
+    computeTrends,
+    detectEvents,
+    defaultEventSettings,
+    formatEventSettings,
+    parseEventSettings,
+    checkDataQuality,
+    daysInMonth,
+    formatDate
+} from '../temperature-data.js';
+
+const mapping = {date: 'date', max: 'max_temperature', min: 'min_temperature'};
+
+// Minimal CSV reader for the fixtures (no quoted fields). Blank lines are kept
+// as empty rows so they are reported like any other malformed row.
+function readCsvFixture(name) {
+    const [header, ...lines] = readFileSync(new URL(`fixtures/${name}`, import.meta.url), 'utf8')
+        .replace(/\n$/, '')
+        .split('\n');
+    const columns = header.split(',');
+    return lines.map(line => {
+        const values = line.split(',');
+        return Object.fromEntries(columns.map((column, i) => [column, values[i]]));
+    });
+}
+
+// Sample of temperature_daily.csv: Mar 2000 (4 days recorded), Feb 2004
+// (leap year), Feb 2005 and Jan 2017 (one day missing)
+const sample = parseRows(readCsvFixture('temperature_daily_sample.csv'), mapping);
+const sampleMonths = groupByMonth(sample.data);
+
+test('parseDate reads YYYY-MM-DD as a local calendar date', () => {
+    const date = parseDate('2004-02-29');
+    assert.equal(date.getFullYear(), 2004);
+    assert.equal(date.getMonth(), 1);
+    assert.equal(date.getDate(), 29);
+});
+
+test('parseDate rejects blank, malformed and impossible dates', () => {
+    assert.equal(parseDate(''), null);
+    assert.equal(parseDate('   '), null);
+    assert.equal(parseDate(undefined), null);
+    assert.equal(parseDate('not-a-date'), null);
+    assert.equal(parseDate('2005-02-29'), null);
+    assert.equal(parseDate('2004-13-01'), null);
+    assert.equal(parseDate('1900-02-29'), null);
+    assert.ok(parseDate('2000-02-29'));
+});
+
+test('parseNumber treats blanks and stray text as NaN, not zero', () => {
+    assert.equal(parseNumber('21.5'), 21.5);
+    assert.equal(parseNumber('-3'), -3);
+    assert.equal(parseNumber('0'), 0);
+    assert.ok(Number.isNaN(parseNumber('')));
+    assert.ok(Number.isNaN(parseNumber(' ')));
+    assert.ok(Number.isNaN(parseNumber(null)));
+    assert.ok(Number.isNaN(parseNumber('cold')));
+});
+
+test('parseRows parses every row of the sample fixture', () => {
+    assert.equal(sample.total, 91);
+    assert.equal(sample.data.length, 91);
+    assert.deepEqual(sample.skipped, []);
+    
+    const first = sample.data[0];
+    assert.equal(first.year, 2000);
+    assert.equal(first.month, 3);
+    assert.equal(first.day, 28);
+    assert.equal(first.row, 2);
+    assert.equal(first.max_temperature, 22);
+    assert.equal(first.min_temperature, 22);
+});
+
+test('parseRows skips empty and invalid rows with their line numbers', () => {
+    const result = parseRows(readCsvFixture('invalid_rows.csv'), mapping);
+    
+    assert.equal(result.total, 7);
+    assert.deepEqual(result.data.map(d => [d.month, d.day]), [[2, 28], [3, 2]]);
+    assert.deepEqual(result.skipped, [
+        {row: 3, reason: 'invalid date "not-a-date"'},
+        {row: 4, reason: 'invalid maximum temperature ""'},
+        {row: 5, reason: 'invalid minimum temperature "cold"'},
+        {row: 6, reason: 'invalid date ""'},
+        {row: 7, reason: 'invalid date "2005-02-29"'}
+    ]);
+});
+
+test('parseRows numbers JSON records from 1 and handles missing fields', () => {
+    const result = parseRows([{date: '2004-02-29', max_temperature: 26, min_temperature: 21}, {}], mapping, 1);
+    assert.equal(result.data.length, 1);
+    assert.deepEqual(result.skipped, [{row: 2, reason: 'invalid date ""'}]);
+});
+
+test('parseRows returns no data for no rows', () => {
+    assert.deepEqual(parseRows([], mapping), {data: [], skipped: [], total: 0});
+});
+
+test('parseRows reads a station column and skips rows without a station', () => {
+    const rows = [
+        {station: ' Sha Tin ', date: '2017-01-01', max_temperature: '18.1', min_temperature: '11.0'},
+        {station: '', date: '2017-01-01', max_temperature: '19.0', min_temperature: '12.2'},
+        {station: 'Hong Kong', date: '2017-01-01', max_temperature: '19.5', min_temperature: '13.4'}
+    ];
+    const result = parseRows(rows, {...mapping, station: 'station'});
+    assert.deepEqual(result.data.map(d => d.station), ['Sha Tin', 'Hong Kong']);
+    assert.deepEqual(result.skipped, [{row: 3, reason: 'missing station name'}]);
+    assert.equal(sample.data[0].station, undefined);
+});
+
+test('splitStations groups records by station name, with a default for unnamed ones', () => {
+    const result = parseRows([
+        {station: 'Sha Tin', date: '2017-01-02', max_temperature: '18', min_temperature: '11'},
+        {station: 'Hong Kong', date: '2017-01-01', max_temperature: '19', min_temperature: '13'},
+        {station: 'Sha Tin', date: '2017-01-01', max_temperature: '17', min_temperature: '10'}
+    ], {...mapping, station: 'station'});
+    const stations = splitStations(result.data, 'Unused');
+    assert.deepEqual(stations.map(s => s.name), ['Hong Kong', 'Sha Tin']);
+    assert.deepEqual(stations[1].data.map(d => d.day), [2, 1]);
+    
+    const single = splitStations(sample.data, 'Hong Kong');
+    assert.equal(single.length, 1);
+    assert.equal(single[0].name, 'Hong Kong');
+    assert.equal(single[0].data.length, sample.data.length);
+    assert.deepEqual(splitStations([], 'Hong Kong'), []);
+});
+
+test('getYears and filterYears work on the years present in the data', () => {
+    assert.deepEqual(getYears(sample.data), [2000, 2004, 2005, 2017]);
+    assert.deepEqual(getYears(filterYears(sample.data, 2001, 2005)), [2004, 2005]);
+    assert.deepEqual(filterYears(sample.data, 2006, 2016), []);
+});
+
+test('groupByMonth keeps the leap day and sorts days', () => {
+    assert.deepEqual(Object.keys(sampleMonths).sort(), ['2000-3', '2004-2', '2005-2', '2017-1']);
+    
+    const leapFebruary = sampleMonths['2004-2'];
+    assert.equal(leapFebruary.length, 29);
+    assert.equal(leapFebruary[28].day, 29);
+    assert.equal(sampleMonths['2005-2'].length, 28);
+    
+    const shuffled = groupByMonth([...sampleMonths['2004-2']].reverse());
+    assert.deepEqual(shuffled['2004-2'].map(d => d.day), leapFebruary.map(d => d.day));
+});
+
+test('groupByMonth only creates months that have data', () => {
+    // Mar 2000 has 4 of 31 days and Jan 2017 is missing one day
+    assert.deepEqual(sampleMonths['2000-3'].map(d => d.day), [28, 29, 30, 31]);
+    assert.equal(sampleMonths['2017-1'].length, 30);
+    assert.equal(sampleMonths['2000-2'], undefined);
+    assert.deepEqual(groupByMonth([]), {});
+});
+
+test('aggregateMonths summarises each month in calendar order', () => {
+    const monthly = aggregateMonths(sampleMonths);
+    assert.deepEqual(monthly.map(d => [d.year, d.month, d.days, d.expectedDays]),
+        [[2000, 3, 4, 31], [2004, 2, 29, 29], [2005, 2, 28, 28], [2017, 1, 30, 31]]);
+    assert.deepEqual(monthly.map(d => d.coverage), [4 / 31, 1, 1, 30 / 31]);
+    
+    const partial = monthly[0];
+    assert.equal(partial.highest, 28);
+    assert.equal(partial.lowest, 19);
+    assert.equal(partial.max_temp_mean, 25.75);
+    assert.equal(partial.min_temp_mean, 20.75);
+    
+    const leap = monthly[1];
+    assert.equal(leap.highest, 26);
+    assert.equal(leap.lowest, 7);
+    assert.ok(Math.abs(leap.max_temp_mean - 593 / 29) < 1e-9);
+});
+
+test('summarizeMonth of no days has a zero count and no values', () => {
+    assert.deepEqual(summarizeMonth([]), {
+        days: 0, highest: undefined, lowest: undefined, max_temp_mean: undefined, min_temp_mean: undefined
+    });
+});
+
+test('extent handles more values than a function takes arguments', () => {
+    const values = Array.from({length: 500000}, (_, i) => i % 2 ? i / 1000 : -i / 1000);
+    values[1000] = null;
+    values[1001] = NaN;
+    assert.deepEqual(extent(values), [-499.998, 499.999]);
+});
+
+test('statistics ignore missing values and handle empty input', () => {
+    assert.deepEqual(extent([3, null, -1, NaN, 7]), [-1, 7]);
+    assert.deepEqual(extent([]), [undefined, undefined]);
+    assert.equal(mean([1, 2, undefined, 6]), 3);
+    assert.equal(mean([]), undefined);
+    assert.equal(median([5, 1, 3]), 3);
+    assert.equal(median([4, 1, 3, 2]), 2.5);
+    assert.equal(median([]), undefined);
+    assert.equal(deviation([2, 4, 4, 4, 5, 5, 7, 9]), Math.sqrt(32 / 7));
+    assert.equal(deviation([5]), undefined);
+});
+
+test('cell statistics on a month with missing days use only recorded days', () => {
+    const days = sampleMonths['2000-3'];
+    // Days 28-31: max 22, 28, 26, 27 and min 22, 20, 19, 22
+    assert.equal(cellStatistics.mean_max(days), 25.75);
+    assert.equal(cellStatistics.mean_min(days), 20.75);
+    assert.equal(cellStatistics.abs_max(days), 28);
+    assert.equal(cellStatistics.abs_min(days), 19);
+    assert.equal(cellStatistics.mean_range(days), 5);
+    // Daily means 22, 24, 22.5, 24.5
+    assert.equal(cellStatistics.median(days), 23.25);
+    assert.ok(Math.abs(cellStatistics.std_dev(days) - deviation([22, 24, 22.5, 24.5])) < 1e-12);
+});
+
+test('daily statistics give one value per day', () => {
+    const days = sampleMonths['2000-3'];
+    const [first] = days;
+    assert.equal(dailyStatistics.mean_max(first, days), 22);
+    assert.equal(dailyStatistics.abs_max(first, days), 22);
+    assert.equal(dailyStatistics.mean_min(days[1], days), 20);
+    assert.equal(dailyStatistics.abs_min(days[1], days), 20);
+    assert.equal(dailyStatistics.mean_range(days[1], days), 8);
+    assert.equal(dailyStatistics.median(days[1], days), 24);
+    // Month mean of the daily means is 23.25
+    assert.equal(dailyStatistics.std_dev(first, days), 1.25);
+    assert.equal(dailyStatistics.std_dev(days[3], days), 1.25);
+});
+
+test('standard deviation of a single-day month is zero', () => {
+    assert.equal(cellStatistics.std_dev(sampleMonths['2000-3'].slice(0, 1)), 0);
+});
+
+test('computeMonthlyBaseline averages each calendar month over the range', () => {
+    const baseline = computeMonthlyBaseline(sampleMonths, cellStatistics.abs_max, 2004, 2005);
+    assert.deepEqual(Object.keys(baseline), ['2']);
+    assert.equal(baseline[2], 26);
+    
+    const all = computeMonthlyBaseline(sampleMonths, cellStatistics.mean_max, 1997, 2017);
+    assert.deepEqual(Object.keys(all).map(Number).sort((a, b) => a - b), [1, 2, 3]);
+    assert.equal(all[3], 25.75);
+    assert.deepEqual(computeMonthlyBaseline(sampleMonths, cellStatistics.mean_max, 2010, 2015), {});
+});
+
+test('computeClimatology averages monthly means across years', () => {
+    const climatology = computeClimatology(sampleMonths);
+    assert.deepEqual(climatology.map(m => [m.month, m.years]), [[1, 1], [2, 2], [3, 1]]);
+    
+    const monthly = aggregateMonths(sampleMonths);
+    const february = climatology[1];
+    const maxMeans = [monthly[1].max_temp_mean, monthly[2].max_temp_mean];
+    assert.ok(Math.abs(february.max.mean - mean(maxMeans)) < 1e-9);
+    assert.ok(Math.abs(february.max.sd - deviation(maxMeans)) < 1e-9);
+    
+    // A month seen in a single year has no spread
+    assert.equal(climatology[2].min.mean, 20.75);
+    assert.equal(climatology[2].min.sd, undefined);
+    assert.deepEqual(computeClimatology({}), []);
+});
+
+test('groupByCalendarMonth pools the days of each month across years', () => {
+    const byMonth = groupByCalendarMonth(sample.data);
+    assert.deepEqual(Object.keys(byMonth).map(Number), [1, 2, 3]);
+    assert.equal(byMonth[2].length, 29 + 28);
+    assert.deepEqual(groupByCalendarMonth([]), {});
+});
+
+test('quantileSorted interpolates between neighbouring values', () => {
+    assert.equal(quantileSorted([1, 2, 3, 4], 0.5), 2.5);
+    assert.equal(quantileSorted([1, 2, 3, 4], 0.25), 1.75);
+    assert.equal(quantileSorted([1, 2, 3, 4], 1), 4);
+    assert.equal(quantileSorted([7], 0.75), 7);
+    assert.equal(quantileSorted([], 0.5), undefined);
+});
+
+test('summarizeDistribution gives quartiles, whiskers within 1.5 IQR and outliers', () => {
+    // Quartiles 2.25 and 6.75 put the fences at -4.5 and 13.5
+    const summary = summarizeDistribution([30, 1, 2, 3, 4, 5, 6, 7, 8, NaN, -10]);
+    assert.deepEqual(summary, {
+        count: 10,
+        min: -10,
+        q1: 2.25,
+        median: 4.5,
+        q3: 6.75,
+        max: 30,
+        lowerWhisker: 1,
+        upperWhisker: 8,
+        outliers: [-10, 30]
+    });
+    assert.equal(summarizeDistribution([null, NaN]), undefined);
+});
+
+test('kernelDensity integrates to about 1 and peaks at the data', () => {
+    const values = [20, 21, 21, 22, 22, 22, 23, 23, 24];
+    const points = Array.from({length: 401}, (_, i) => 10 + i * 0.05);
+    const density = kernelDensity(values, points);
+    const area = density.reduce((sum, [, y]) => sum + y * 0.05, 0);
+    assert.ok(Math.abs(area - 1) < 1e-3);
+    const peak = density.reduce((best, point) => point[1] > best[1] ? point : best);
+    assert.ok(Math.abs(peak[0] - 22) < 0.1);
+    
+    // Constant values still get a usable bandwidth
+    assert.equal(silvermanBandwidth([5, 5, 5]), 1);
+    assert.deepEqual(kernelDensity([], [0, 1]), [[0, 0], [1, 0]]);
+});
+
+test('sortByValue puts the highest first and missing values last, keeping ties in order', () => {
+    const values = {a: 2, b: undefined, c: 5, d: 2, e: null, f: NaN, g: -1};
+    assert.deepEqual(sortByValue(Object.keys(values), key => values[key]),
+        ['c', 'a', 'd', 'g', 'b', 'e', 'f']);
+    assert.deepEqual(sortByValue([], () => 1), []);
+});
+
+test('linearRegression fits a least-squares line', () => {
+    const fit = linearRegression([[2000, 1], [2001, 3], [2002, 2], [2003, 4]]);
+    assert.ok(Math.abs(fit.slope - 0.8) < 1e-9);
+    assert.ok(Math.abs(fit.intercept - (2.5 - 0.8 * 2001.5)) < 1e-9);
+    assert.equal(fit.n, 4);
+    assert.equal(linearRegression([[2000, 1], [2000, 2]]).slope, undefined);
+    assert.equal(linearRegression([]).slope, undefined);
+});
+
+test('mannKendall detects monotonic trends with a two-sided p-value', () => {
+    const rising = mannKendall([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    assert.equal(rising.s, 45);
+    // Var(S) = 10 * 9 * 25 / 18 = 125, so z = 44 / sqrt(125)
+    assert.ok(Math.abs(rising.z - 44 / Math.sqrt(125)) < 1e-9);
+    assert.ok(rising.pValue < 0.001);
+    
+    const falling = mannKendall([10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    assert.equal(falling.s, -45);
+    assert.ok(Math.abs(falling.pValue - rising.pValue) < 1e-12);
+    
+    const flat = mannKendall([3, 1, 4, 1, 5, 2, 6, 2, 3, 5]);
+    assert.ok(flat.pValue > 0.05);
+    
+    // Ties shrink the variance; all-tied and too-short series have no p-value
+    assert.equal(mannKendall([1, 1, 2, 2, 3, 3]).s, 12);
+    assert.equal(mannKendall([2, 2, 2, 2]).pValue, undefined);
+    assert.equal(mannKendall([1, 2]).pValue, undefined);
+});
+
+test('computeTrends fits each calendar month and the annual mean', () => {
+    // Two months warming by 0.5 and 0.1 degrees a year from 2000 to 2009
+    const records = [];
+    for (let year = 2000; year <= 2009; year++) {
+        [[1, 0.5], [2, 0.1]].forEach(([month, rate]) => {
+            records.push({year, month, day: 1, max_temperature: 20 + rate * (year - 2000), min_temperature: 10});
+        });
+    }
+    const trends = computeTrends(groupByMonth(records), cellStatistics.mean_max, 2000, 2009);
+    assert.ok(Math.abs(trends.monthly[1].slope - 5) < 1e-9);
+    assert.ok(Math.abs(trends.monthly[2].slope - 1) < 1e-9);
+    assert.equal(trends.monthly[1].n, 10);
+    assert.ok(trends.monthly[1].pValue < 0.05);
+    
+    // No year has all twelve months, so there is no annual trend
+    assert.equal(trends.annual.n, 0);
+    assert.equal(trends.annual.slope, undefined);
+    
+    const partial = computeTrends(groupByMonth(records), cellStatistics.mean_max, 2005, 2009);
+    assert.equal(partial.monthly[1].n, 5);
+    
+    const fullYears = [];
+    for (let year = 2000; year <= 2004; year++) {
+        for (let month = 1; month <= 12; month++) {
+            fullYears.push({year, month, day: 1, max_temperature: 15 + month + 0.2 * (year - 2000), min_temperature: 10});
+        }
+    }
+    const annual = computeTrends(groupByMonth(fullYears), cellStatistics.mean_max, 2000, 2004).annual;
+    assert.equal(annual.n, 5);
+    assert.ok(Math.abs(annual.slope - 2) < 1e-9);
+});
+
+// Daily records from [YYYY-MM-DD, max, min] rows
+function makeDays(rows) {
+    return parseRows(rows.map(([date, max, min]) => ({date, max_temperature: max, min_temperature: min})), mapping).data;
+}
+
+test('detectEvents finds streaks of consecutive days past each threshold', () => {
+    const days = makeDays([
+        ['2017-06-29', 32, 27],
+        ['2017-06-30', 33, 28],
+        ['2017-07-01', 34, 28.5],
+        ['2017-07-02', 35, 29],
+        ['2017-07-03', 33.5, 27],
+        ['2017-07-05', 34, 28],
+        ['2017-07-06', 34, 28]
+    ]);
+    const events = detectEvents(days, {...defaultEventSettings, records: 'none'});
+    
+    // The missing 4 July breaks the streak, so the last two days are too short
+    assert.deepEqual(events.map(e => [e.type, e.start, e.end, e.days, e.value]), [
+        ['heatwave', '2017-06-30', '2017-07-03', 4, 35],
+        ['hotNights', '2017-06-30', '2017-07-02', 3, 29]
+    ]);
+    assert.equal(events[0].month, 6);
+    
+    const shortStreaks = detectEvents(days, {...defaultEventSettings, heatwave: {threshold: 34, days: 2}, records: 'none'});
+    assert.deepEqual(shortStreaks.filter(e => e.type === 'heatwave').map(e => [e.start, e.days]),
+        [['2017-07-01', 2], ['2017-07-05', 2]]);
+});
+
+test('detectEvents finds cold spells and all-time or calendar-day records', () => {
+    const days = makeDays([
+        ['2015-01-10', 15, 10],
+        ['2015-01-11', 14, 9],
+        ['2015-01-12', 16, 11],
+        ['2016-01-10', 20, 8],
+        ['2016-01-11', 12, 12]
+    ]);
+    const cold = detectEvents(days, {...defaultEventSettings, records: 'none'});
+    assert.deepEqual(cold.map(e => [e.type, e.start, e.days, e.value]), [['coldSpell', '2015-01-10', 3, 9]]);
+    
+    const allTime = detectEvents(days).filter(e => e.type.startsWith('record'));
+    assert.deepEqual(allTime.map(e => [e.type, e.start, e.value]),
+        [['recordHigh', '2016-01-10', 20], ['recordLow', '2016-01-10', 8]]);
+    
+    const calendar = detectEvents(days, {...defaultEventSettings, records: 'calendar-day'}).filter(e => e.type.startsWith('record'));
+    assert.deepEqual(calendar.map(e => [e.type, e.start]), [
+        ['recordHigh', '2015-01-11'],
+        ['recordLow', '2015-01-11'],
+        ['recordHigh', '2015-01-12'],
+        ['recordLow', '2015-01-12'],
+        ['recordHigh', '2016-01-10'],
+        ['recordLow', '2016-01-10']
+    ]);
+    assert.deepEqual(detectEvents([]), []);
+});
+
+test('event settings round-trip through their URL text', () => {
+    assert.equal(formatEventSettings(defaultEventSettings), '28:3,33:3,12:3,all-time');
+    assert.deepEqual(parseEventSettings(formatEventSettings(defaultEventSettings)), defaultEventSettings);
+    
+    const custom = {
+        hotNights: {threshold: 82.4, days: 2},
+        heatwave: {threshold: 95, days: 5},
+        coldSpell: {threshold: -3.5, days: 4},
+        records: 'calendar-day'
+    };
+    assert.deepEqual(parseEventSettings(formatEventSettings(custom)), custom);
+});
+
+test('parseEventSettings rejects malformed URL text', () => {
+    ['', '28:3,33:3,all-time', '28:3,33:3,12:3,sometimes', '28:0,33:3,12:3,none',
+        '28:3,33:1.5,12:3,none', 'hot:3,33:3,12:3,none', '28,33:3,12:3,none', '28:3:1,33:3,12:3,none']
+        .forEach(text => assert.equal(parseEventSettings(text), null, text));
+});
+
+test('daysInMonth follows the leap year rules', () => {
+    assert.equal(daysInMonth(2004, 2), 29);
+    assert.equal(daysInMonth(2005, 2), 28);
+    assert.equal(daysInMonth(2000, 2), 29);
+    assert.equal(daysInMonth(1900, 2), 28);
+    assert.equal(daysInMonth(2017, 1), 31);
+    assert.equal(daysInMonth(2017, 4), 30);
+});
+
+test('formatDate pads month and day', () => {
+    assert.equal(formatDate(new Date(2004, 1, 9)), '2004-02-09');
+});
+
+test('checkDataQuality finds no problems in a complete month', () => {
+    const quality = checkDataQuality(sampleMonths['2004-2']);
+    assert.equal(quality.data.length, 29);
+    assert.deepEqual(quality.issues, {impossible: [], minAboveMax: [], duplicates: [], missing: []});
+    assert.equal(quality.firstDate, '2004-02-01');
+    assert.equal(quality.lastDate, '2004-02-29');
+});
+
+test('checkDataQuality reports missing dates as gaps between the first and last date', () => {
+    const quality = checkDataQuality(sample.data);
+    assert.equal(quality.firstDate, '2000-03-28');
+    assert.equal(quality.lastDate, '2017-01-31');
+    assert.equal(quality.data.length, 91);
+    
+    // Gaps between the sampled months; the last one ends on Jan 1 2017, the
+    // day missing from the original data
+    assert.deepEqual(quality.issues.missing, [
+        {start: '2000-04-01', end: '2004-01-31', days: 1401},
+        {start: '2004-03-01', end: '2005-01-31', days: 337},
+        {start: '2005-03-01', end: '2017-01-01', days: 4325}
+    ]);
+});
+
+test('checkDataQuality drops duplicate, inverted and impossible rows', () => {
+    const quality = checkDataQuality(parseRows(readCsvFixture('quality_issues.csv'), mapping).data);
+    
+    assert.deepEqual(quality.data.map(d => formatDate(d.date)),
+        ['2004-02-26', '2004-02-27', '2004-03-02', '2004-03-06']);
+    assert.deepEqual(quality.issues.duplicates,
+        [{row: 4, date: '2004-02-27', duplicateOf: 3}]);
+    assert.deepEqual(quality.issues.minAboveMax,
+        [{row: 6, date: '2004-03-03', min: 21, max: 15}]);
+    assert.deepEqual(quality.issues.impossible, [
+        {row: 7, date: '2004-03-04', value: 210},
+        {row: 8, date: '2004-03-05', value: -120}
+    ]);
+    // Feb 28-29 and Mar 1 are missing (2004 is a leap year); rejected rows count as missing too
+    assert.deepEqual(quality.issues.missing, [
+        {start: '2004-02-28', end: '2004-03-01', days: 3},
+        {start: '2004-03-03', end: '2004-03-05', days: 3}
+    ]);
+});
+
+test('checkDataQuality of no records is empty', () => {
+    assert.deepEqual(checkDataQuality([]), {
+        data: [],
+        issues: {impossible: [], minAboveMax: [], duplicates: [], missing: []},
+        firstDate: null,
+        lastDate: null
+    });
+});
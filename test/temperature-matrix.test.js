@@ -0,0 +1,408 @@
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {JSDOM} from 'jsdom';
+
+// The component needs a DOM and the d3 global: jsdom, and the D3 modules the
+// offline build bundles (d3-offline.js)
+const dom = new JSDOM('<!DOCTYPE html><div id="matrix"></div>', {pretendToBeVisual: true});
+const {window} = dom;
+// Skip reordering animations, which jsdom cannot interpolate
+window.matchMedia = () => ({matches: true});
+globalThis.window = window;
+globalThis.document = window.document;
+globalThis.navigator = window.navigator;
+await import('../d3-offline.js');
+const {createTemperatureMatrix} = await import('../temperature-matrix.js');
+const {extent} = await import('../temperature-data.js');
+
+// Two full years with every day at 20-30°C
+function makeData() {
+    const data = [];
+    [2016, 2017].forEach(year => {
+        for (let month = 1; month <= 12; month++) {
+            const days = new Date(year, month, 0).getDate();
+            for (let day = 1; day <= days; day++) {
+                data.push({date: new Date(year, month - 1, day), year, month, day, max_temperature: 20 + month, min_temperature: 10 + month / 2});
+            }
+        }
+    });
+    return data;
+}
+
+function createMatrix(data = makeData(), container = window.document.getElementById('matrix')) {
+    return {container, matrix: createTemperatureMatrix(container, data, {title: 'Test', announce: () => {}})};
+}
+
+// The drawn element of a matrix cell, calendar day or table cell by its key
+const findByKey = (container, selector, key) =>
+    [...container.querySelectorAll(selector)].find(el => el.__data__.key === key);
+const press = (element, key) => element.dispatchEvent(
+    new window.KeyboardEvent('keydown', {key, bubbles: true, cancelable: true}));
+const focusedKey = () => window.document.activeElement.__data__.key;
+
+const mouse = (type, x, y, options = {}) =>
+    new window.MouseEvent(type, {clientX: x, clientY: y, bubbles: true, cancelable: true, view: window, button: 0, ...options});
+
+test('a click with a little pointer movement keeps the selection', () => {
+    const {container, matrix} = createMatrix();
+    matrix.setSelection(['2016-3', '2017-3']);
+    const selected = matrix.getSelection().keys;
+    
+    // Press and release within the first cell, moving one pixel
+    const cell = container.querySelector('.cell');
+    cell.dispatchEvent(mouse('mousedown', 5, 5));
+    window.dispatchEvent(mouse('mousemove', 6, 5));
+    window.dispatchEvent(mouse('mouseup', 6, 5));
+    
+    assert.deepEqual(matrix.getSelection().keys, selected);
+    assert.equal(container.querySelector('.selection-brush').style.display, 'none');
+    matrix.closeDetail();
+    matrix.destroy();
+});
+
+test('dragging into another cell brush-selects the cells between', async () => {
+    const {container, matrix} = createMatrix();
+    const cell = container.querySelector('.cell');
+    cell.dispatchEvent(mouse('mousedown', 5, 5));
+    window.dispatchEvent(mouse('mousemove', 150, 5));
+    window.dispatchEvent(mouse('mouseup', 150, 5));
+    
+    assert.equal(matrix.getSelection().keys.length, 2);
+    matrix.destroy();
+    // d3-drag swallows the click that ends a drag until the next tick, which
+    // would otherwise eat the first click of a later test
+    await new Promise(resolve => setTimeout(resolve));
+});
+
+test('Shift with the arrow keys extends the selection from the focused cell', () => {
+    const {container, matrix} = createMatrix();
+    findByKey(container, '.cell', '2016-1').focus();
+    const shiftPress = key => window.document.activeElement.dispatchEvent(
+        new window.KeyboardEvent('keydown', {key, shiftKey: true, bubbles: true, cancelable: true}));
+    
+    shiftPress('ArrowDown');
+    shiftPress('ArrowRight');
+    assert.deepEqual(matrix.getSelection().keys.sort(), ['2016-1', '2016-2', '2017-1', '2017-2']);
+    assert.equal(container.querySelector('.selection-title').textContent, 'Selection: 4 months');
+    matrix.destroy();
+});
+
+test('Escape closes the detail panel before clearing the selection', () => {
+    const {matrix} = createMatrix();
+    let detailOpen = false;
+    matrix.on('detailopen', () => { detailOpen = true; });
+    matrix.on('detailclose', () => { detailOpen = false; });
+    matrix.setSelection(['2016-3', '2017-3']);
+    matrix.openDetail('2016-3');
+    assert.ok(detailOpen);
+    const escape = () => window.document.activeElement.dispatchEvent(
+        new window.KeyboardEvent('keydown', {key: 'Escape', bubbles: true, cancelable: true}));
+    
+    escape();
+    assert.equal(detailOpen, false);
+    assert.equal(matrix.getSelection().keys.length, 2);
+    escape();
+    assert.equal(matrix.getSelection().keys.length, 0);
+    matrix.destroy();
+});
+
+test('event thresholds typed in Fahrenheit are reported back unchanged', () => {
+    const {matrix} = createMatrix();
+    const eventSettings = {
+        hotNights: {threshold: 80, days: 2},
+        heatwave: {threshold: 53.6, days: 4},
+        coldSpell: {threshold: 50.3, days: 3},
+        records: 'none'
+    };
+    matrix.setState({unit: 'F', events: true, eventSettings});
+    assert.deepEqual(matrix.getState().eventSettings, eventSettings);
+    
+    // Applying the reported state again changes nothing, so nothing is redrawn
+    let renders = 0;
+    matrix.on('render', () => renders++);
+    matrix.setState(matrix.getState());
+    assert.equal(renders, 0);
+    matrix.destroy();
+});
+
+test('the max/min toggle leaves metrics without a counterpart alone', () => {
+    const {matrix} = createMatrix();
+    matrix.setMetric('median');
+    matrix.toggleMaxMin();
+    assert.equal(matrix.getState().metric, 'median');
+    
+    matrix.setMetric('mean_max');
+    matrix.toggleMaxMin();
+    assert.equal(matrix.getState().metric, 'mean_min');
+    matrix.destroy();
+});
+
+test('focusing a cell highlights its month in the distribution panel beside the matrix', () => {
+    const {container, matrix} = createMatrix();
+    matrix.setState({distribution: 'box', ridgeline: true});
+    const panel = container.querySelector('.matrix-layout > .distribution-panel');
+    assert.ok(panel);
+    assert.ok(container.querySelector('.matrix-layout > svg'));
+    
+    const cell = [...container.querySelectorAll('.cell')].find(el => el.__data__.month === 3);
+    cell.focus();
+    const highlighted = () => [...panel.querySelectorAll('.highlighted')].map(el => el.__data__.month);
+    assert.deepEqual(highlighted(), [3, 3]);
+    cell.blur();
+    assert.deepEqual(highlighted(), []);
+    matrix.destroy();
+});
+
+test('the distribution note describes only the charts drawn', () => {
+    const {container, matrix} = createMatrix();
+    const note = () => [...container.querySelectorAll('.distribution-note')].map(el => el.textContent).join(' ');
+    matrix.setState({distribution: 'none', ridgeline: true});
+    assert.match(note(), /ridge/);
+    assert.doesNotMatch(note(), /Boxes|Shapes/);
+    
+    matrix.setState({distribution: 'box', ridgeline: false});
+    assert.match(note(), /Boxes/);
+    assert.doesNotMatch(note(), /ridge|Shapes/);
+    matrix.destroy();
+});
+
+test('in difference mode trends are fitted on the differences the cells show', () => {
+    const {container, matrix} = createMatrix();
+    // The other station cools by a degree a year, so the difference rises
+    const other = makeData().map(d => ({...d, max_temperature: d.max_temperature - (d.year - 2016)}));
+    matrix.setReference(other, 'Other');
+    matrix.setState({trends: true});
+    
+    const label = container.querySelector('.trend-column').getAttribute('aria-label');
+    assert.match(label, /Annual trend of the difference from Other 2016–2017: rising 10\.00 degrees Celsius per decade/);
+    matrix.destroy();
+});
+
+test('months with missing days are hatched and described as incomplete', () => {
+    const data = makeData().filter(d => !(d.year === 2016 && d.month === 3 && d.day <= 10));
+    const {container, matrix} = createMatrix(data);
+    const partial = findByKey(container, '.cell', '2016-3');
+    const complete = findByKey(container, '.cell', '2017-3');
+    
+    assert.ok(partial.querySelector('.coverage-hatch'));
+    assert.match(partial.getAttribute('aria-label'), /Incomplete month, 21 of 31 days/);
+    assert.equal(complete.querySelector('.coverage-hatch'), null);
+    assert.doesNotMatch(complete.getAttribute('aria-label'), /Incomplete/);
+    matrix.destroy();
+});
+
+test('calendar days move by day, week and year with the arrow and page keys', () => {
+    const {container, matrix} = createMatrix();
+    matrix.setView('calendar');
+    findByKey(container, '.day-cell', '2016-02-28').focus();
+    
+    press(window.document.activeElement, 'ArrowDown');
+    assert.equal(focusedKey(), '2016-02-29');
+    // Feb 29 has no match in 2017, so the year step lands on Feb 28
+    press(window.document.activeElement, 'PageDown');
+    assert.equal(focusedKey(), '2017-02-28');
+    press(window.document.activeElement, 'ArrowRight');
+    assert.equal(focusedKey(), '2017-03-07');
+    matrix.destroy();
+});
+
+test('year labels add and remove years from the comparison chart', () => {
+    const {container, matrix} = createMatrix();
+    const label = year => [...container.querySelectorAll('.year-label')].find(el => el.__data__ === year);
+    const title = () => container.querySelector('.year-comparison-title').textContent;
+    
+    press(label(2017), 'Enter');
+    press(label(2016), 'Enter');
+    assert.equal(title(), 'Year comparison: 2016, 2017');
+    assert.equal(label(2016).getAttribute('aria-pressed'), 'true');
+    assert.equal(container.querySelectorAll('.year-comparison-year').length, 2);
+    
+    press(label(2017), ' ');
+    assert.equal(title(), 'Year comparison: 2016');
+    press(label(2016), 'Enter');
+    assert.equal(container.querySelector('.year-comparison'), null);
+    matrix.destroy();
+});
+
+test('the trend column gives each month its warming rate, also in the cell labels', () => {
+    // Every day is two degrees warmer in 2017
+    const data = makeData().map(d => ({...d, max_temperature: d.max_temperature + (d.year - 2016) * 2}));
+    const {container, matrix} = createMatrix(data);
+    matrix.setTrends(true);
+    
+    const rows = [...container.querySelectorAll('.trend-column text')].map(el => el.textContent);
+    assert.equal(rows[0], 'Trend (°C/decade)');
+    assert.ok(rows.includes('+20.00°C'));
+    assert.match(findByKey(container, '.cell', '2016-3').getAttribute('aria-label'),
+        /Mar trend 2016–2017: rising 20\.00 degrees Celsius per decade/);
+    
+    matrix.setTrends(false);
+    assert.equal(container.querySelector('.trend-column'), null);
+    matrix.destroy();
+});
+
+test('choosing a detected event focuses the month it starts in', () => {
+    const {container, matrix} = createMatrix();
+    // Only the October to December heat (maximums of 30-32°C) counts
+    matrix.setState({events: true, eventSettings: {
+        hotNights: {threshold: 28, days: 3},
+        heatwave: {threshold: 30, days: 3},
+        coldSpell: {threshold: -50, days: 3},
+        records: 'none'
+    }});
+    const selected = [];
+    matrix.on('eventselect', event => selected.push(event));
+    
+    const items = container.querySelectorAll('.event-item');
+    assert.equal(items.length, 2);
+    items[1].click();
+    assert.deepEqual(selected.map(event => [event.type, event.start, event.days]), [['heatwave', '2017-10-01', 92]]);
+    assert.equal(focusedKey(), '2017-10');
+    matrix.destroy();
+});
+
+test('value orders move the warmest year and month first, and arrow keys follow them', () => {
+    const data = makeData().map(d => ({...d, max_temperature: d.max_temperature + (d.year - 2016) * 2}));
+    const {container, matrix} = createMatrix(data);
+    const position = key => findByKey(container, '.cell', key).getAttribute('transform');
+    const chronological = position('2016-1');
+    
+    matrix.setState({yearOrder: 'annual', monthOrder: 'seasonal'});
+    // December has the highest maximums, 2017 the warmer year
+    assert.equal(position('2017-12'), chronological);
+    
+    findByKey(container, '.cell', '2017-12').focus();
+    press(window.document.activeElement, 'ArrowRight');
+    assert.equal(focusedKey(), '2016-12');
+    press(window.document.activeElement, 'ArrowDown');
+    assert.equal(focusedKey(), '2016-11');
+    matrix.destroy();
+});
+
+test('+, − and 0 on a focused cell zoom the matrix about it and reset the zoom', () => {
+    const {container, matrix} = createMatrix();
+    const grid = container.querySelector('.matrix-grid');
+    findByKey(container, '.cell', '2017-6').focus();
+    
+    press(window.document.activeElement, '+');
+    assert.match(grid.getAttribute('transform'), /scale\(1\.5\)/);
+    press(window.document.activeElement, '+');
+    assert.match(grid.getAttribute('transform'), /scale\(2\.25\)/);
+    press(window.document.activeElement, '-');
+    assert.match(grid.getAttribute('transform'), /scale\(1\.5\)/);
+    press(window.document.activeElement, '0');
+    assert.equal(grid.getAttribute('transform'), 'translate(0,0) scale(1)');
+    matrix.destroy();
+});
+
+test('the canvas renderer hit-tests the pointer to the month cell under it', () => {
+    // jsdom cannot draw, so give the renderer a context that ignores drawing
+    const context = new Proxy({}, {get: () => () => {}, set: () => true});
+    const {getContext} = window.HTMLCanvasElement.prototype;
+    window.HTMLCanvasElement.prototype.getContext = () => context;
+    try {
+        const {container, matrix} = createMatrix();
+        matrix.setRenderer('canvas');
+        const canvas = container.querySelector('.matrix-canvas');
+        assert.ok(canvas);
+        const hovered = [];
+        matrix.on('hover', cell => hovered.push(cell && cell.key));
+        
+        // The grid is at the page origin in jsdom, so client coordinates are grid coordinates
+        const cell = findByKey(container, '.cell', '2017-3');
+        const [x, y] = cell.getAttribute('transform').match(/[\d.]+/g).map(Number);
+        const width = +cell.querySelector('rect').getAttribute('width');
+        canvas.dispatchEvent(mouse('mousemove', x + width / 2, y + 10));
+        // The gap between the year columns has no cell
+        canvas.dispatchEvent(mouse('mousemove', x - 2, y + 10));
+        canvas.dispatchEvent(mouse('mousemove', x + 1, y + 1));
+        canvas.dispatchEvent(mouse('mouseleave', 0, 0));
+        assert.deepEqual(hovered, ['2017-3', null, '2017-3', null]);
+        matrix.destroy();
+    } finally {
+        window.HTMLCanvasElement.prototype.getContext = getContext;
+    }
+});
+
+test('the data table keeps one cell in the tab order and moves it with the arrow keys', () => {
+    const {container, matrix} = createMatrix();
+    matrix.setTable(true);
+    const tabStops = () => [...container.querySelectorAll('.data-table td[tabindex="0"]')].map(el => el.__data__.key);
+    assert.deepEqual(tabStops(), ['2016-1']);
+    
+    findByKey(container, '.data-table td', '2016-1').focus();
+    press(window.document.activeElement, 'ArrowRight');
+    press(window.document.activeElement, 'ArrowDown');
+    assert.equal(focusedKey(), '2017-2');
+    assert.deepEqual(tabStops(), ['2017-2']);
+    press(window.document.activeElement, 'End');
+    assert.equal(focusedKey(), '2017-12');
+    
+    // The tab stop stays on the same month when the table is redrawn
+    matrix.setMetric('mean_min');
+    assert.deepEqual(tabStops(), ['2017-12']);
+    matrix.destroy();
+});
+
+test('P plays the focused month as tones, one per day for the maximums then the minimums', () => {
+    const scheduled = [];
+    const param = {setValueAtTime: (value, time) => scheduled.push(value)};
+    window.AudioContext = class {
+        currentTime = 0;
+        destination = {};
+        resume() {}
+        close() {}
+        createGain() { return {gain: {setValueAtTime() {}}, connect: node => node}; }
+        createOscillator() { return {frequency: param, connect: node => node, start() {}, stop() {}}; }
+    };
+    try {
+        const {container, matrix} = createMatrix();
+        matrix.setTable(true);
+        findByKey(container, '.data-table td', '2016-2').focus();
+        press(window.document.activeElement, 'p');
+        // 29 days in Feb 2016, each curve its own oscillator
+        assert.equal(scheduled.length, 58);
+        // The maximums are warmer, so they sound higher
+        assert.ok(scheduled[0] > scheduled[29]);
+        matrix.destroy();
+    } finally {
+        delete window.AudioContext;
+    }
+});
+
+test('small multiples given a shared color domain color equal values alike', () => {
+    const {container, matrix} = createMatrix();
+    const otherContainer = window.document.createElement('div');
+    window.document.body.appendChild(otherContainer);
+    // Five degrees warmer, so its January matches this station's June
+    const warmer = makeData().map(d => ({...d, max_temperature: d.max_temperature + 5}));
+    const other = createMatrix(warmer, otherContainer).matrix;
+    const fill = (element, key) => findByKey(element, '.cell', key).querySelector('rect').getAttribute('fill');
+    assert.notEqual(fill(container, '2016-6'), fill(otherContainer, '2016-1'));
+    
+    // As the page does for its station panels
+    const domain = extent([matrix, other].flatMap(instance => instance.getValueExtent()));
+    matrix.setColorDomain(domain);
+    other.setColorDomain(domain);
+    assert.equal(fill(container, '2016-6'), fill(otherContainer, '2016-1'));
+    assert.equal(container.querySelector('.legend').getAttribute('aria-label'),
+        otherContainer.querySelector('.legend').getAttribute('aria-label'));
+    
+    matrix.destroy();
+    other.destroy();
+    otherContainer.remove();
+});
+
+test('hovering a month label highlights that month in every distribution chart', () => {
+    const {container, matrix} = createMatrix();
+    matrix.setState({distribution: 'violin', ridgeline: true});
+    const label = [...container.querySelectorAll('.month-label')].find(el => el.__data__ === 7);
+    const highlighted = () => [...container.querySelectorAll('.distribution-panel .highlighted')].map(el => el.__data__.month);
+    
+    label.dispatchEvent(new window.MouseEvent('mouseenter'));
+    assert.deepEqual(highlighted(), [7, 7]);
+    assert.equal(container.querySelectorAll('.distribution-month.dimmed').length, 11);
+    label.dispatchEvent(new window.MouseEvent('mouseleave'));
+    assert.deepEqual(highlighted(), []);
+    matrix.destroy();
+});